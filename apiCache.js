@@ -0,0 +1,90 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Last-known-good cache for the external API calls (weather, forecast and world news).
+* Every successful response is written to disk with a timestamp; when a live call fails the
+* cached copy is served instead, including after a restart.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Storage
+*   - One JSON file per cache key in '<userData>/api-cache'
+*   - Files are written to a temp file and renamed so a crash never leaves a half-written cache
+*
+* 2) Responses
+*   - Handlers return { data, fetchedAt, stale } so the renderer can show when the data is from
+*   - 'stale' is true when the live call failed and the cached copy was served
+*   - With a maxAgeMs, a cached copy younger than that is served without a live call at all
+*     (used for the less important weather locations to save API calls)
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const { app } = require('electron');
+
+function getCacheDir() {
+  return path.join(app.getPath('userData'), 'api-cache');
+}
+
+function getCachePath(key) {
+  const safeKey = key.replace(/[^a-z0-9_.-]/gi, '_');
+  return path.join(getCacheDir(), `${safeKey}.json`);
+}
+
+async function readCache(key) {
+  try {
+    const content = await fs.promises.readFile(getCachePath(key), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeCache(key, entry) {
+  const filePath = getCachePath(key);
+  const tempPath = filePath + '.tmp';
+
+  try {
+    await fs.promises.mkdir(getCacheDir(), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry), 'utf-8');
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    console.error(`Error writing ${key} cache:`, error);
+  }
+}
+
+/**
+ * Runs fetchLive and caches its result under key. If fetchLive throws, the cached copy is
+ * returned with stale: true; if there is no cached copy the original error is rethrown.
+ * A cached copy younger than maxAgeMs is returned as is, without calling fetchLive.
+ */
+async function withCache(key, fetchLive, { maxAgeMs = 0 } = {}) {
+  if (maxAgeMs > 0) {
+    const cached = await readCache(key);
+    if (cached && Date.now() - cached.fetchedAt < maxAgeMs) {
+      return { ...cached, stale: false };
+    }
+  }
+
+  try {
+    const data = await fetchLive();
+    const entry = { data, fetchedAt: Date.now() };
+    await writeCache(key, entry);
+    return { ...entry, stale: false };
+  } catch (error) {
+    const cached = await readCache(key);
+    if (!cached) throw error;
+
+    console.error(`Live ${key} request failed, serving cache from ${new Date(cached.fetchedAt).toISOString()}:`, error.message);
+    return { ...cached, stale: true };
+  }
+}
+
+module.exports = {
+  readCache,
+  withCache,
+};
@@ -0,0 +1,170 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Persistent call ledger for the metered APIs. MediaStack allows 100 calls per month and
+* OpenWeather 1,000 per day; a dev reload or a kiosk restart loop could otherwise burn through
+* either budget. OpenWeather radar tiles have a daily budget of their own.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Ledger
+*   - Calls are counted per service and per period in '<userData>/api-quota.json'
+*   - The count resets when a new month (MediaStack) or day (OpenWeather, its tiles) starts
+*   - The file is written to a temporary file and renamed into place, one save at a time, so a
+*     crash mid-write can't leave a truncated ledger that would reset the budgets
+*
+* 2) Pacing
+*   - Calls are spread across the period: only the share of the budget matching the elapsed
+*     part of the period (plus a small burst allowance) may be used so far
+*   - Refused calls throw a QuotaExceededError so the caller can serve its cache instead
+*
+* 3) Reporting
+*   - getUsage() summarizes calls, budget and remaining allowance for the 'fetch-api-usage' IPC call
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const { app } = require('electron');
+
+const SERVICES = {
+  mediastack: { period: 'month', budgetKey: 'mediastackMonthly' },
+  openweather: { period: 'day', budgetKey: 'openWeatherDaily' },
+  openweatherTiles: { period: 'day', budgetKey: 'openWeatherTilesDaily' },
+};
+
+class QuotaExceededError extends Error {
+  constructor(service, usage) {
+    super(`${service} call budget reached (${usage.calls}/${usage.allowedNow} allowed so far, ${usage.budget} per ${usage.period})`);
+    this.name = 'QuotaExceededError';
+    this.service = service;
+  }
+}
+
+let ledger = null;
+let saving = false;
+let saveQueued = false;
+
+function getLedgerPath() {
+  return path.join(app.getPath('userData'), 'api-quota.json');
+}
+
+function loadLedger() {
+  if (ledger) return ledger;
+  try {
+    ledger = JSON.parse(fs.readFileSync(getLedgerPath(), 'utf-8'));
+  } catch (error) {
+    ledger = {};
+  }
+  return ledger;
+}
+
+async function saveLedger() {
+  // A save already running picks up the latest counts when it is done
+  if (saving) {
+    saveQueued = true;
+    return;
+  }
+
+  saving = true;
+  const ledgerPath = getLedgerPath();
+  try {
+    do {
+      saveQueued = false;
+      await fs.promises.writeFile(ledgerPath + '.tmp', JSON.stringify(ledger, null, 2), 'utf-8');
+      await fs.promises.rename(ledgerPath + '.tmp', ledgerPath);
+    } while (saveQueued);
+  } catch (error) {
+    console.error('Error writing API quota ledger:', error);
+  } finally {
+    saving = false;
+  }
+}
+
+// Start and end of the current month or day, in local time
+function getPeriodBounds(period, now) {
+  if (period === 'month') {
+    return {
+      start: new Date(now.getFullYear(), now.getMonth(), 1),
+      end: new Date(now.getFullYear(), now.getMonth() + 1, 1),
+    };
+  }
+  return {
+    start: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+    end: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1),
+  };
+}
+
+function getPeriodKey(period, now) {
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return period === 'month'
+    ? `${now.getFullYear()}-${month}`
+    : `${now.getFullYear()}-${month}-${day}`;
+}
+
+function getEntry(service, now) {
+  const { period } = SERVICES[service];
+  const periodKey = getPeriodKey(period, now);
+  const entries = loadLedger();
+
+  if (!entries[service] || entries[service].period !== periodKey) {
+    entries[service] = { period: periodKey, calls: 0, lastCallAt: null };
+  }
+  return entries[service];
+}
+
+function getServiceUsage(service, quota, now = new Date()) {
+  const { period, budgetKey } = SERVICES[service];
+  const budget = quota[budgetKey];
+  const entry = getEntry(service, now);
+  const { start, end } = getPeriodBounds(period, now);
+
+  const elapsed = (now - start) / (end - start);
+  const burst = Math.max(1, Math.round(budget * 0.02));
+  const allowedNow = Math.min(budget, Math.ceil(budget * elapsed) + burst);
+
+  return {
+    period,
+    budget,
+    calls: entry.calls,
+    allowedNow,
+    remaining: Math.max(0, budget - entry.calls),
+    lastCallAt: entry.lastCallAt,
+  };
+}
+
+/**
+ * Records one call against the service's budget, or throws a QuotaExceededError if the
+ * call would go over the paced allowance.
+ */
+function consumeCall(service, quota) {
+  const now = new Date();
+  const usage = getServiceUsage(service, quota, now);
+
+  if (usage.calls >= usage.allowedNow) {
+    throw new QuotaExceededError(service, usage);
+  }
+
+  const entry = getEntry(service, now);
+  entry.calls += 1;
+  entry.lastCallAt = now.getTime();
+  saveLedger();
+}
+
+function getUsage(quota) {
+  const usage = {};
+  for (const service of Object.keys(SERVICES)) {
+    usage[service] = getServiceUsage(service, quota);
+  }
+  return usage;
+}
+
+module.exports = {
+  QuotaExceededError,
+  consumeCall,
+  getUsage,
+};
@@ -0,0 +1,452 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Loads, validates and watches the application's configuration file. Every site-specific
+* value (content shares, plant coordinates, units, intervals and API endpoints) lives here
+* instead of in main.js so that a new site or a test box only needs a different JSON file.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Locating the Config File
+*   - 'styberg-news.config.json' next to the executable (project root in development)
+*   - 'styberg-news.config.json' in the userData directory
+*   - Built-in defaults when neither file exists
+*
+* 2) Validation
+*   - Missing keys are filled in from the defaults
+*   - Unknown keys and bad values are collected into a single ConfigError
+*   - Retired settings are ignored so that older config files keep loading
+*
+* 3) Live Reload
+*   - Watches the config file and re-validates on every change
+*   - A config that fails validation is logged and the previous config is kept
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const chokidar = require('chokidar');
+
+const CONFIG_FILE_NAME = 'styberg-news.config.json';
+const UNITS = ['imperial', 'metric', 'standard'];
+const WATCH_MODES = ['auto', 'native', 'poll'];
+const CLOCK_FORMATS = ['12h', '24h'];
+const HOURLY_CHART_HOURS = [8, 12, 24];
+const HOURLY_CHART_SERIES = ['temperature', 'feelsLike', 'precipitation', 'wind'];
+const RADAR_MODES = ['rotate', 'precipitation', 'off'];
+const WEATHER_DETAILS = ['wind', 'humidity', 'uv', 'visibility', 'dewPoint', 'sunrise', 'airQuality'];
+const FORECAST_DAYS = [4, 7];
+// Settings that no longer do anything; still accepted in the file and then dropped
+const RETIRED_SETTINGS = [
+  'intervals.contentRefresh', // the renderer's content refresh, replaced by the folder watcher
+  'intervals.articleRotation', // fixed carousel times, replaced by 'readingTime'
+  'intervals.announcementRotation',
+  'intervals.worldNewsRotation',
+  'api.forecastUrl',
+];
+const MIN_INTERVAL = 1000;
+
+const DEFAULT_CONFIG = {
+  content: {
+    newsDir: '\\\\sty-fs-1\\Users\\Public\\STYBERGNEWS\\News',
+    announcementsDir: '\\\\sty-fs-1\\Users\\Public\\STYBERGNEWS\\Announcements',
+    // While this file exists its message takes over every display
+    emergencyFile: '\\\\sty-fs-1\\Users\\Public\\STYBERGNEWS\\EMERGENCY.txt',
+    watchMode: 'auto',
+  },
+  // The plant; its weather is shown first and refreshed most often
+  location: {
+    name: 'Racine',
+    latitude: 42.74908,
+    longitude: -87.80067,
+  },
+  // Other facilities and customer sites: [{ name, latitude, longitude }]
+  otherLocations: [],
+  units: 'imperial',
+  clock: '12h',
+  // Language and region for dates and times on screen
+  locale: 'en-US',
+  // Detail row under the current conditions, in order; any of WEATHER_DETAILS
+  weatherDetails: ['wind', 'humidity', 'uv', 'airQuality', 'sunrise'],
+  hourlyChart: {
+    hours: 8,
+    series: ['temperature', 'precipitation'],
+  },
+  // Days in the forecast under the chart, starting today; 7 adds precipitation chance and totals
+  forecastDays: 4,
+  // Precipitation radar map of the plant's area
+  radar: {
+    // 'rotate': a step in the location rotation; 'precipitation': replaces the conditions view
+    // while it is raining or snowing at the plant; 'off'
+    mode: 'rotate',
+    layer: 'PR0',
+    zoom: 7,
+    frames: 6,
+    frameStepMinutes: 60,
+    frameMs: 1000,
+  },
+  // Shows icon art instead of the 3D weather scene and leaves out the decorative scenes, for
+  // displays without a capable GPU
+  lowPower: false,
+  intervals: {
+    contentPoll: 5 * 1000,
+    emergencyPoll: 2 * 1000,
+    videoMax: 60 * 1000 * 5,
+    weatherRefresh: 60 * 1000 * 10,
+    otherLocationsRefresh: 60 * 1000 * 60,
+    locationRotate: 20 * 1000,
+    worldNewsRefresh: 60 * 1000 * 60 * 24,
+  },
+  // How long each carousel item stays on screen, from its word count
+  readingTime: {
+    wordsPerMinute: 200,
+    imageMs: 10 * 1000,
+    minMs: 8 * 1000,
+    maxMs: 60 * 1000,
+  },
+  // Long article text: pause at the top, scroll, pause at the bottom
+  autoScroll: {
+    pixelsPerSecond: 30,
+    pauseTopMs: 5 * 1000,
+    pauseBottomMs: 5 * 1000,
+  },
+  // Announcements up to cardMaxChars fit on the card (shrinking the text as needed); longer
+  // ones scroll by as a ticker, and anything over tickerMaxChars is rejected
+  announcements: {
+    cardMaxChars: 250,
+    tickerMaxChars: 600,
+    tickerPixelsPerSecond: 150,
+    // Times per rotation cycle an important / urgent announcement is shown (normal is once)
+    importantFrequency: 2,
+    urgentFrequency: 3,
+  },
+  api: {
+    oneCallUrl: 'https://api.openweathermap.org/data/3.0/onecall',
+    airPollutionUrl: 'https://api.openweathermap.org/data/2.5/air_pollution',
+    weatherMapUrl: 'https://maps.openweathermap.org/maps/2.0/weather',
+    baseMapUrl: 'https://tile.openstreetmap.org',
+    newsUrl: 'https://api.mediastack.com/v1/news',
+  },
+  quota: {
+    mediastackMonthly: 100,
+    openWeatherDaily: 1000,
+    // Radar map tiles, counted apart from the weather calls
+    openWeatherTilesDaily: 3000,
+  },
+};
+
+class ConfigError extends Error {
+  constructor(filePath, problems) {
+    super(`Invalid configuration in ${filePath}:\n- ${problems.join('\n- ')}`);
+    this.name = 'ConfigError';
+    this.filePath = filePath;
+    this.problems = problems;
+  }
+}
+
+let currentConfig = null;
+let currentPath = null;
+let watcher = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Fill in anything the file leaves out with the matching default
+function mergeWithDefaults(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const key of Object.keys(overrides)) {
+    merged[key] = isPlainObject(defaults[key]) && isPlainObject(overrides[key])
+      ? mergeWithDefaults(defaults[key], overrides[key])
+      : overrides[key];
+  }
+  return merged;
+}
+
+function findUnknownKeys(defaults, value, prefix = '') {
+  const unknown = [];
+  for (const key of Object.keys(value)) {
+    const keyPath = prefix + key;
+    if (!(key in defaults)) {
+      unknown.push(`Unknown setting "${keyPath}"`);
+    } else if (isPlainObject(defaults[key]) && isPlainObject(value[key])) {
+      unknown.push(...findUnknownKeys(defaults[key], value[key], keyPath + '.'));
+    }
+  }
+  return unknown;
+}
+
+function withoutRetiredSettings(parsed) {
+  const result = { ...parsed };
+  for (const keyPath of RETIRED_SETTINGS) {
+    const [section, key] = keyPath.split('.');
+    if (isPlainObject(result[section]) && key in result[section]) {
+      result[section] = { ...result[section] };
+      delete result[section][key];
+    }
+  }
+  return result;
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isSupportedLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateLocation({ name, latitude, longitude }, keyPath, problems) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    problems.push(`"${keyPath}.name" must be a non-empty string`);
+  }
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    problems.push(`"${keyPath}.latitude" must be a number between -90 and 90`);
+  }
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    problems.push(`"${keyPath}.longitude" must be a number between -180 and 180`);
+  }
+}
+
+function validateConfig(config) {
+  const problems = [];
+
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    if (isPlainObject(DEFAULT_CONFIG[section]) && !isPlainObject(config[section])) {
+      problems.push(`"${section}" must be an object`);
+    }
+  }
+  if (problems.length > 0) return problems;
+
+  // Content shares
+  for (const key of ['newsDir', 'announcementsDir', 'emergencyFile']) {
+    const dir = config.content[key];
+    if (typeof dir !== 'string' || dir.trim() === '') {
+      problems.push(`"content.${key}" must be a non-empty path`);
+    }
+  }
+  if (!WATCH_MODES.includes(config.content.watchMode)) {
+    problems.push(`"content.watchMode" must be one of: ${WATCH_MODES.join(', ')}`);
+  }
+
+  // Locations
+  validateLocation(config.location, 'location', problems);
+  if (!Array.isArray(config.otherLocations)) {
+    problems.push('"otherLocations" must be a list');
+  } else {
+    config.otherLocations.forEach((location, index) => {
+      const keyPath = `otherLocations[${index}]`;
+      if (!isPlainObject(location)) {
+        problems.push(`"${keyPath}" must be an object`);
+        return;
+      }
+      problems.push(...findUnknownKeys(DEFAULT_CONFIG.location, location, keyPath + '.'));
+      validateLocation(location, keyPath, problems);
+    });
+  }
+
+  // Units
+  if (!UNITS.includes(config.units)) {
+    problems.push(`"units" must be one of: ${UNITS.join(', ')}`);
+  }
+
+  // Clock and locale
+  if (!CLOCK_FORMATS.includes(config.clock)) {
+    problems.push(`"clock" must be one of: ${CLOCK_FORMATS.join(', ')}`);
+  }
+  if (typeof config.locale !== 'string' || !isSupportedLocale(config.locale)) {
+    problems.push('"locale" must be a locale such as "en-US" or "de-DE"');
+  }
+
+  // Weather detail row
+  if (!Array.isArray(config.weatherDetails)
+    || !config.weatherDetails.every((detail) => WEATHER_DETAILS.includes(detail))) {
+    problems.push(`"weatherDetails" must be a list of: ${WEATHER_DETAILS.join(', ')}`);
+  }
+
+  // Hourly chart
+  if (!HOURLY_CHART_HOURS.includes(config.hourlyChart.hours)) {
+    problems.push(`"hourlyChart.hours" must be one of: ${HOURLY_CHART_HOURS.join(', ')}`);
+  }
+  if (!Array.isArray(config.hourlyChart.series) || config.hourlyChart.series.length === 0
+    || !config.hourlyChart.series.every((series) => HOURLY_CHART_SERIES.includes(series))) {
+    problems.push(`"hourlyChart.series" must be a non-empty list of: ${HOURLY_CHART_SERIES.join(', ')}`);
+  }
+
+  // Daily forecast
+  if (!FORECAST_DAYS.includes(config.forecastDays)) {
+    problems.push(`"forecastDays" must be one of: ${FORECAST_DAYS.join(', ')}`);
+  }
+
+  // Radar map
+  const { mode: radarMode, layer: radarLayer, ...radarNumbers } = config.radar;
+  if (!RADAR_MODES.includes(radarMode)) {
+    problems.push(`"radar.mode" must be one of: ${RADAR_MODES.join(', ')}`);
+  }
+  if (typeof radarLayer !== 'string' || !/^[A-Z0-9]+$/.test(radarLayer)) {
+    problems.push('"radar.layer" must be an OpenWeather map layer code such as "PR0"');
+  }
+  for (const [key, value] of Object.entries(radarNumbers)) {
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`"radar.${key}" must be a whole number of at least 1`);
+    }
+  }
+  if (config.radar.zoom > 18) {
+    problems.push('"radar.zoom" must be no more than 18');
+  }
+
+  // Low-power mode
+  if (typeof config.lowPower !== 'boolean') {
+    problems.push('"lowPower" must be true or false');
+  }
+
+  // Intervals (milliseconds)
+  for (const [key, value] of Object.entries(config.intervals)) {
+    if (!Number.isInteger(value) || value < MIN_INTERVAL) {
+      problems.push(`"intervals.${key}" must be a whole number of milliseconds of at least ${MIN_INTERVAL}`);
+    }
+  }
+
+  // Reading time
+  const { wordsPerMinute, ...readingBounds } = config.readingTime;
+  if (!Number.isInteger(wordsPerMinute) || wordsPerMinute < 1) {
+    problems.push('"readingTime.wordsPerMinute" must be a whole number of at least 1');
+  }
+  for (const [key, value] of Object.entries(readingBounds)) {
+    if (!Number.isInteger(value) || value < 0) {
+      problems.push(`"readingTime.${key}" must be a whole number of milliseconds`);
+    }
+  }
+  if (config.readingTime.minMs < MIN_INTERVAL || config.readingTime.minMs > config.readingTime.maxMs) {
+    problems.push(`"readingTime.minMs" must be at least ${MIN_INTERVAL} and no more than "readingTime.maxMs"`);
+  }
+
+  // Auto-scroll
+  for (const [key, value] of Object.entries(config.autoScroll)) {
+    const min = key === 'pixelsPerSecond' ? 1 : 0;
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(`"autoScroll.${key}" must be a whole number of at least ${min}`);
+    }
+  }
+
+  // Announcements
+  for (const [key, value] of Object.entries(config.announcements)) {
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`"announcements.${key}" must be a whole number of at least 1`);
+    }
+  }
+  if (config.announcements.cardMaxChars > config.announcements.tickerMaxChars) {
+    problems.push('"announcements.cardMaxChars" must be no more than "announcements.tickerMaxChars"');
+  }
+
+  // API endpoints
+  for (const [key, value] of Object.entries(config.api)) {
+    if (typeof value !== 'string' || !isHttpUrl(value)) {
+      problems.push(`"api.${key}" must be an http(s) URL`);
+    }
+  }
+
+  // API call budgets
+  for (const [key, value] of Object.entries(config.quota)) {
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`"quota.${key}" must be a whole number of calls of at least 1`);
+    }
+  }
+
+  return problems;
+}
+
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(filePath, [`Could not be parsed: ${error.message}`]);
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(filePath, ['The file must contain a JSON object']);
+  }
+
+  const settings = withoutRetiredSettings(parsed);
+  const config = mergeWithDefaults(DEFAULT_CONFIG, settings);
+  const problems = [...findUnknownKeys(DEFAULT_CONFIG, settings), ...validateConfig(config)];
+  if (problems.length > 0) {
+    throw new ConfigError(filePath, problems);
+  }
+
+  return config;
+}
+
+// Executable directory first so IT can manage one file per machine, userData second
+function getConfigCandidates(app) {
+  const exeDir = app.isPackaged
+    ? path.dirname(app.getPath('exe'))
+    : app.getAppPath();
+
+  return [
+    path.join(exeDir, CONFIG_FILE_NAME),
+    path.join(app.getPath('userData'), CONFIG_FILE_NAME),
+  ];
+}
+
+/**
+ * Loads the config file for the first time. Throws a ConfigError if the file is invalid.
+ */
+function loadConfig(app) {
+  currentPath = getConfigCandidates(app).find((candidate) => fs.existsSync(candidate)) || null;
+
+  if (currentPath) {
+    currentConfig = readConfigFile(currentPath);
+    console.log('Loaded configuration from ' + currentPath);
+  } else {
+    currentConfig = mergeWithDefaults(DEFAULT_CONFIG, {});
+    console.log('No configuration file found, using defaults');
+  }
+
+  return currentConfig;
+}
+
+function getConfig() {
+  return currentConfig;
+}
+
+/**
+ * Re-reads the config file whenever it changes and calls onChange with the new config.
+ * Invalid edits are logged and ignored so a typo does not take the display down.
+ */
+function watchConfig(onChange) {
+  if (!currentPath || watcher) return;
+
+  watcher = chokidar.watch(currentPath, { ignoreInitial: true, awaitWriteFinish: true });
+  watcher.on('change', () => {
+    try {
+      currentConfig = readConfigFile(currentPath);
+      console.log('Reloaded configuration from ' + currentPath);
+      onChange(currentConfig);
+    } catch (error) {
+      console.error(error.message);
+    }
+  });
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  DEFAULT_CONFIG,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  watchConfig,
+};
@@ -0,0 +1,109 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Reports content files that can't be shown, so staff can find out why their announcement never
+* appeared without asking IT to look at the display PC.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Log
+*   - Rejections are appended to '<userData>/logs/content.log' (and the console) with a timestamp
+*   - The list is only logged when it changes, so a rejected file isn't reported on every reload
+*
+* 2) Status File
+*   - STATUS_FILE_NAME is written to the content folder on the share, listing each rejected file
+*     and the reason
+*   - The file is only rewritten when its contents change and is removed once nothing is rejected
+*   - The content watcher ignores it, so writing it doesn't trigger a reload
+*
+* 3) Hidden and System Files
+*   - isHiddenOrSystemFile() matches files Windows, Office and macOS leave on the share (Thumbs.db,
+*     desktop.ini, '~$' lock files, dotfiles); they are skipped rather than reported, so the status
+*     file only lists what someone actually put there
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const { app } = require('electron');
+
+const STATUS_FILE_NAME = 'styberg-news-status.log';
+const SYSTEM_FILE_NAMES = ['thumbs.db', 'ehthumbs.db', 'desktop.ini'];
+
+// Dotfiles cover macOS '.DS_Store' and '._' files; '~$' is an open Office document's lock file
+function isHiddenOrSystemFile(name) {
+  return name.startsWith('.') || name.startsWith('~$') || SYSTEM_FILE_NAMES.includes(name.toLowerCase());
+}
+
+// Last report per source, as written to the status file
+const lastReports = new Map();
+
+function getLogPath() {
+  return path.join(app.getPath('userData'), 'logs', 'content.log');
+}
+
+async function appendLog(lines) {
+  const timestamp = new Date().toISOString();
+  const entry = lines.map((line) => `${timestamp} ${line}\n`).join('');
+  try {
+    await fs.promises.mkdir(path.dirname(getLogPath()), { recursive: true });
+    await fs.promises.appendFile(getLogPath(), entry);
+  } catch (error) {
+    console.error('Error writing content log:', error.message);
+  }
+}
+
+async function writeStatusFile(dir, report) {
+  const statusPath = path.join(dir, STATUS_FILE_NAME);
+  try {
+    if (!report) {
+      await fs.promises.rm(statusPath, { force: true });
+      return;
+    }
+
+    const existing = await fs.promises.readFile(statusPath, 'utf-8').catch(() => null);
+    if (existing !== report) await fs.promises.writeFile(statusPath, report);
+  } catch (error) {
+    // The share may be read-only for the display account; the log still has the details
+    console.error('Error writing status file:', error.message);
+  }
+}
+
+/**
+ * Records the files in dir that were rejected on the latest read of source
+ * ('announcements' or 'news'). rejected is a list of { file, reason }.
+ */
+async function reportRejectedFiles(source, dir, rejected) {
+  const report = rejected.length > 0
+    ? [
+      `These files in this folder are not being shown on Styberg News:`,
+      '',
+      ...rejected.map(({ file, reason }) => `${file}: ${reason}`),
+      '',
+    ].join('\r\n')
+    : '';
+
+  if (lastReports.get(source) === report) return;
+
+  const previous = lastReports.get(source);
+  lastReports.set(source, report);
+
+  if (rejected.length > 0) {
+    const lines = rejected.map(({ file, reason }) => `[${source}] Rejected ${file}: ${reason}`);
+    lines.forEach((line) => console.warn(line));
+    await appendLog(lines);
+  } else if (previous) {
+    await appendLog([`[${source}] No rejected files`]);
+  }
+
+  await writeStatusFile(dir, report);
+}
+
+module.exports = {
+  STATUS_FILE_NAME,
+  isHiddenOrSystemFile,
+  reportRejectedFiles,
+};
@@ -0,0 +1,216 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Watches the News and Announcements folders and reports when their contents actually change,
+* so the renderer only reloads content when there is something new to show.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Change Detection
+*   - Local folders use native file system events through chokidar
+*   - Network shares (UNC paths and mapped drives) don't deliver native events reliably, so they
+*     are polled every 'intervals.contentPoll' ms instead
+*   - A folder is only given native events once it is confirmed to be on a local disk (drive type
+*     on Windows, file system type elsewhere); when that can't be determined it is polled
+*   - 'content.watchMode' ('auto', 'native' or 'poll') overrides the automatic choice
+*
+* 2) Snapshot Comparison
+*   - Every event or poll builds a snapshot of the folder (path, size, mtime)
+*   - Files whose mtime changed but size didn't are hashed so that a touched-but-identical
+*     file doesn't trigger a reload
+*   - onChange is only called when the snapshot differs from the previous one
+*   - The status file written by contentStatus.js is left out of the snapshot
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const chokidar = require('chokidar');
+const { STATUS_FILE_NAME } = require('./contentStatus');
+
+// Files larger than this are compared by size and mtime only
+const MAX_HASH_BYTES = 5 * 1024 * 1024;
+const EVENT_DEBOUNCE_MS = 1000;
+const DRIVE_TYPE_TIMEOUT_MS = 15 * 1000;
+// Win32_LogicalDisk DriveType: 2 removable, 3 local disk (4 is a mapped network drive)
+const LOCAL_DRIVE_TYPES = [2, 3];
+// statfs f_type of SMB/CIFS and NFS mounts
+const NETWORK_FS_TYPES = [0xff534d42, 0xfe534d42, 0x517b, 0x6969];
+
+const execFileAsync = promisify(execFile);
+
+let watchers = [];
+
+async function getWindowsDriveType(drive) {
+  const { stdout } = await execFileAsync(
+    'powershell.exe',
+    ['-NoProfile', '-NonInteractive', '-Command', `(Get-CimInstance Win32_LogicalDisk -Filter "DeviceID='${drive}'").DriveType`],
+    { timeout: DRIVE_TYPE_TIMEOUT_MS, windowsHide: true }
+  );
+  return parseInt(stdout.trim(), 10);
+}
+
+// True only when the folder is known to be on a local disk
+async function isLocalPath(dir) {
+  if (dir.startsWith('\\\\') || dir.startsWith('//')) return false;
+
+  try {
+    if (process.platform === 'win32') {
+      const drive = /^[a-zA-Z]:/.exec(path.resolve(dir));
+      return Boolean(drive) && LOCAL_DRIVE_TYPES.includes(await getWindowsDriveType(drive[0].toUpperCase()));
+    }
+
+    const { type } = await fs.promises.statfs(dir);
+    return !NETWORK_FS_TYPES.includes(type);
+  } catch (error) {
+    console.error(`Could not tell whether ${dir} is local:`, error.message);
+    return false;
+  }
+}
+
+async function hashFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+async function readSnapshot(dir, previous, relDir = '') {
+  const snapshot = new Map();
+  const entries = await fs.promises.readdir(path.join(dir, relDir), { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name === STATUS_FILE_NAME) continue;
+
+    const relPath = path.join(relDir, entry.name);
+    const fullPath = path.join(dir, relPath);
+
+    if (entry.isDirectory()) {
+      const nested = await readSnapshot(dir, previous, relPath);
+      nested.forEach((value, key) => snapshot.set(key, value));
+      continue;
+    }
+
+    const stats = await fs.promises.stat(fullPath);
+    const before = previous && previous.get(relPath);
+    let hash = null;
+
+    if (stats.size <= MAX_HASH_BYTES) {
+      const unchanged = before && before.size === stats.size && before.mtimeMs === stats.mtimeMs;
+      hash = unchanged ? before.hash : await hashFile(fullPath);
+    }
+
+    snapshot.set(relPath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+  }
+
+  return snapshot;
+}
+
+function snapshotsDiffer(a, b) {
+  if (!a || !b) return a !== b;
+  if (a.size !== b.size) return true;
+
+  for (const [relPath, entry] of a) {
+    const other = b.get(relPath);
+    if (!other || other.size !== entry.size) return true;
+    if (entry.hash !== null && other.hash !== null) {
+      if (entry.hash !== other.hash) return true;
+    } else if (entry.mtimeMs !== other.mtimeMs) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function createFolderWatcher(source, dir, { watchMode, pollInterval }, onChange) {
+  let snapshot;
+  let checking = false;
+  let debounceTimer = null;
+  let pollTimer = null;
+  let nativeWatcher = null;
+  let closed = false;
+
+  const check = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      let next = null;
+      try {
+        next = await readSnapshot(dir, snapshot);
+      } catch (error) {
+        // Share offline or folder missing; report once when it comes back
+        if (snapshot !== null) console.error(`Error reading ${source} folder:`, error.message);
+      }
+
+      if (snapshot !== undefined && snapshotsDiffer(snapshot, next)) {
+        onChange(source);
+      }
+      snapshot = next;
+    } finally {
+      checking = false;
+    }
+  };
+
+  const start = async () => {
+    const usePolling = watchMode === 'poll' || (watchMode === 'auto' && !(await isLocalPath(dir)));
+    // Replaced by a config reload while the drive type was being looked up
+    if (closed) return;
+
+    if (usePolling) {
+      pollTimer = setInterval(check, pollInterval);
+    } else {
+      nativeWatcher = chokidar.watch(dir, { ignoreInitial: true });
+      nativeWatcher.on('all', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(check, EVENT_DEBOUNCE_MS);
+      });
+      nativeWatcher.on('error', (error) => console.error(`Error watching ${source} folder:`, error));
+    }
+
+    console.log(`Watching ${source} folder (${usePolling ? 'polling' : 'native events'}): ${dir}`);
+  };
+
+  check();
+  start();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(debounceTimer);
+      clearInterval(pollTimer);
+      if (nativeWatcher) nativeWatcher.close();
+    },
+  };
+}
+
+/**
+ * Starts watching the configured content folders, replacing any existing watchers.
+ * onChange is called with 'news' or 'announcements'.
+ */
+function watchContent(config, onChange) {
+  stopWatchingContent();
+
+  const options = {
+    watchMode: config.content.watchMode,
+    pollInterval: config.intervals.contentPoll,
+  };
+
+  watchers = [
+    createFolderWatcher('news', config.content.newsDir, options, onChange),
+    createFolderWatcher('announcements', config.content.announcementsDir, options, onChange),
+  ];
+}
+
+function stopWatchingContent() {
+  watchers.forEach((watcher) => watcher.close());
+  watchers = [];
+}
+
+module.exports = {
+  watchContent,
+  stopWatchingContent,
+};
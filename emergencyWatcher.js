@@ -0,0 +1,112 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Watches the reserved emergency file on the share. While it exists, every display shows its
+* message full screen over everything else; deleting the file ends the broadcast.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Detection
+*   - The file at 'content.emergencyFile' is checked every 'intervals.emergencyPoll' ms
+*     (a couple of seconds), on local folders and network shares alike
+*   - The file is only re-read when its size or mtime changes
+*
+* 2) Message
+*   - The body of the file is the message; optional front matter sets 'title' (default
+*     'EMERGENCY') and 'sound' (true plays an attention tone on the displays)
+*   - onChange is called with { title, message, sound, since } when the broadcast starts or its
+*     text changes, and with null when the file is removed
+*   - If the share can't be reached the current state is kept, so a network blip neither
+*     starts nor ends a broadcast
+*/
+
+const fs = require('fs');
+const path = require('node:path');
+const { parseFrontMatter } = require('./frontMatter');
+
+const DEFAULT_TITLE = 'EMERGENCY';
+
+let pollTimer = null;
+let current = null;
+
+function readEmergency(content, fileName, since) {
+  const { metadata, body } = parseFrontMatter(content, fileName);
+  return {
+    title: metadata.title ? String(metadata.title) : DEFAULT_TITLE,
+    message: body.trim(),
+    sound: metadata.sound === true,
+    since,
+  };
+}
+
+function isSameEmergency(a, b) {
+  if (!a || !b) return a === b;
+  return a.title === b.title && a.message === b.message && a.sound === b.sound;
+}
+
+/**
+ * Starts polling the configured emergency file, replacing any existing poll.
+ */
+function watchEmergency(config, onChange) {
+  stopWatchingEmergency();
+
+  const filePath = config.content.emergencyFile;
+  const fileName = path.basename(filePath);
+  let stamp = null;
+  let checking = false;
+
+  const check = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      let next;
+      try {
+        const stats = await fs.promises.stat(filePath);
+        const nextStamp = `${stats.size}|${stats.mtimeMs}`;
+        if (nextStamp === stamp) return;
+
+        const content = await fs.promises.readFile(filePath, 'utf-8');
+        stamp = nextStamp;
+        next = readEmergency(content, fileName, current ? current.since : new Date().toISOString());
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          // Share unreachable: keep showing (or not showing) whatever we had
+          console.error('Error reading emergency file:', error.message);
+          return;
+        }
+        stamp = null;
+        next = null;
+      }
+
+      if (!isSameEmergency(current, next)) {
+        current = next;
+        console.log(current ? `Emergency broadcast started: ${current.title}` : 'Emergency broadcast ended');
+        onChange(current);
+      }
+    } finally {
+      checking = false;
+    }
+  };
+
+  pollTimer = setInterval(check, config.intervals.emergencyPoll);
+  check();
+}
+
+function stopWatchingEmergency() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function getEmergency() {
+  return current;
+}
+
+module.exports = {
+  watchEmergency,
+  stopWatchingEmergency,
+  getEmergency,
+};
@@ -0,0 +1,94 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Parses an optional front-matter block at the top of a content file. The block is delimited
+* by '---' lines and holds either a JSON object or flat YAML-style 'key: value' pairs:
+*
+*   ---
+*   title: Plant Picnic
+*   author: HR
+*   priority: 5
+*   ---
+*   <p>Join us on Friday...</p>
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Parsing
+*   - JSON blocks are parsed with JSON.parse
+*   - YAML-style blocks support strings (quoted or bare), numbers and booleans; '#' starts a comment
+*   - snake_case and kebab-case keys are converted to camelCase ('image_caption' -> 'imageCaption')
+*
+* 2) Fallback
+*   - Files without a block, or with a block that can't be parsed, are returned unchanged with
+*     empty metadata so they keep rendering exactly as before
+*/
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function toCamelCase(key) {
+  return key.trim().replace(/[_-]+([a-z0-9])/gi, (_match, letter) => letter.toUpperCase());
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === '' || value === 'null' || value === '~') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseYamlBlock(block) {
+  const metadata = {};
+
+  for (const line of block.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+    const separator = trimmed.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Expected "key: value" but found "${trimmed}"`);
+    }
+    metadata[trimmed.slice(0, separator).trim()] = parseScalar(trimmed.slice(separator + 1));
+  }
+
+  return metadata;
+}
+
+/**
+ * Splits content into { metadata, body }. Never throws; parse problems are logged with the
+ * file name and the content is treated as having no front matter.
+ */
+function parseFrontMatter(content, fileName = '') {
+  const match = content.match(FRONT_MATTER);
+  if (!match) return { metadata: {}, body: content };
+
+  let raw;
+  try {
+    const block = match[1].trim();
+    raw = block.startsWith('{') ? JSON.parse(block) : parseYamlBlock(block);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Front matter must be an object');
+    }
+  } catch (error) {
+    console.warn(`Ignoring front matter in ${fileName}:`, error.message);
+    return { metadata: {}, body: content };
+  }
+
+  const metadata = {};
+  for (const [key, value] of Object.entries(raw)) {
+    metadata[toCamelCase(key)] = value;
+  }
+
+  return { metadata, body: content.slice(match[0].length) };
+}
+
+module.exports = {
+  parseFrontMatter,
+};
@@ -38,21 +38,50 @@
 * External Modules:
 * -----------------
 * - axios: HTTP requests to external APIs
+* - marked: Converts Markdown articles to HTML
 * - path: Provides utilities for file and directory paths
 * 
+* Local Modules:
+* --------------
+* - config: Loads, validates and live-reloads 'styberg-news.config.json'
+* - contentWatcher: Detects changes in the News and Announcements folders
+* - apiCache: Serves the last successful API response when a live call fails
+* - apiQuota: Counts calls against the MediaStack, OpenWeather and radar tile budgets
+* - frontMatter: Parses the optional metadata block at the top of article files
+* - schedule: Publish and expiry windows for articles and announcements
+* - mediaProtocol: Streams content files to the renderer over 'styberg-media://'
+* - thumbnailCache: Downscaled copies of large News images
+* - tileProxy: Cached base map and radar tiles for the radar map
+* - contentStatus: Reports rejected content files in a log and a status file on the share
+* - emergencyWatcher: Full-screen emergency broadcast driven by a reserved file on the share
+* 
 * Configuration Import:
 * ---------------------
-* API keys are imported from 'config.js', which are generated during
-* the build process
+* API keys are read from the environment ('.env' in development).
+* Content directories, coordinates, units, intervals and API endpoints are
+* loaded from 'styberg-news.config.json' by 'config.js' and reloaded live
+* when the file changes.
 * 
 * 
 */
 
-const { app, BrowserWindow, ipcMain, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, globalShortcut, dialog } = require('electron');
 const path = require('node:path');
 const fs = require('fs');
-const mime = require('mime');
+const crypto = require('crypto');
 const axios = require('axios');
+const { ConfigError, loadConfig, getConfig, watchConfig } = require('./config');
+const { watchContent } = require('./contentWatcher');
+const { withCache } = require('./apiCache');
+const { consumeCall, getUsage } = require('./apiQuota');
+const { parseFrontMatter } = require('./frontMatter');
+const { readSchedule, isLive, armBoundaryTimer } = require('./schedule');
+const { registerMediaScheme, handleMediaProtocol, toMediaUrl } = require('./mediaProtocol');
+const { pruneThumbnailCache } = require('./thumbnailCache');
+const { createTileHandler, pruneTileCache } = require('./tileProxy');
+const { STATUS_FILE_NAME, isHiddenOrSystemFile, reportRejectedFiles } = require('./contentStatus');
+const { watchEmergency, getEmergency } = require('./emergencyWatcher');
+const { marked } = require('marked');
 const isDev = !app.isPackaged;
 
 if (isDev) {
@@ -60,19 +89,32 @@ if (isDev) {
 }
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
 const WEATHER_API_KEY = process.env.WEATHER_API_KEY;
-const LATITUDE = '42.74908';
-const LONGITUDE = '-87.80067';
 
 // GPU flags to improve GPU compatibility
 app.commandLine.appendSwitch('ignore-gpu-blacklist');
 app.commandLine.appendSwitch('enable-webgl');
 app.commandLine.appendSwitch('disable-software-rasterizer');
 
-const announcementsDir = '\\\\sty-fs-1\\Users\\Public\\STYBERGNEWS\\Announcements';
-const newsDir = '\\\\sty-fs-1\\Users\\Public\\STYBERGNEWS\\News';
+// Must be registered before the app is ready
+registerMediaScheme();
 
 let mainWindow;
 
+// Push an event to the renderer, if the window is still around
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+function onContentChanged(source) {
+  sendToRenderer('content-changed', { source });
+}
+
+function onEmergencyChanged(emergency) {
+  sendToRenderer('emergency-changed', emergency);
+}
+
 function createWindow() {
   console.log('isDev: ' + isDev);
   mainWindow = new BrowserWindow({
@@ -81,6 +123,8 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       preload: path.join(__dirname, 'preload.js'),
+      // Emergency broadcasts may play an attention tone without anyone touching the display
+      autoplayPolicy: 'no-user-gesture-required',
     },
   })
 
@@ -124,6 +168,35 @@ function createWindow() {
 }
 
 app.whenReady().then(() => { 
+  try {
+    loadConfig(app);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      dialog.showErrorBox('Styberg News configuration error', error.message);
+      app.quit();
+      return;
+    }
+    throw error;
+  }
+
+  handleMediaProtocol(() => ({
+    news: getConfig().content.newsDir,
+    // Spline scenes downloaded by 'npm run fetch-scenes' and copied into the build
+    scenes: path.join(__dirname, isDev ? 'public' : 'build', 'scenes'),
+  }), {
+    tiles: createTileHandler(() => ({ api: getConfig().api, apiKey: WEATHER_API_KEY, quota: getConfig().quota })),
+  });
+  pruneThumbnailCache();
+  pruneTileCache();
+  watchContent(getConfig(), onContentChanged);
+  watchEmergency(getConfig(), onEmergencyChanged);
+
+  watchConfig((config) => {
+    watchContent(config, onContentChanged);
+    watchEmergency(config, onEmergencyChanged);
+    sendToRenderer('config-changed', config);
+  });
+
   createWindow();
 
   app.on('will-quit', () => {
@@ -136,11 +209,29 @@ ipcMain.handle('fetch-environment', async () => {
   return isDev;
 })
 
+// Configuration
+ipcMain.handle('fetch-config', async () => {
+  return getConfig();
+})
+
+// Emergency Broadcast (current state; changes are pushed as 'emergency-changed')
+ipcMain.handle('get-emergency', async () => {
+  return getEmergency();
+})
+
+// API Usage
+ipcMain.handle('fetch-api-usage', async () => {
+  return getUsage(getConfig().quota);
+})
+
 // World News
 ipcMain.handle('fetch-news', async () => {
+  const { api, quota } = getConfig();
   let newsDateRange = getDateRange(7);
-  try {
-    const response = await axios.get('https://api.mediastack.com/v1/news', {
+
+  return withCache('news', async () => {
+    consumeCall('mediastack', quota);
+    const response = await axios.get(api.newsUrl, {
       params: {
         country: 'us',
         categories: 'business,sports,science,health',
@@ -163,9 +254,7 @@ ipcMain.handle('fetch-news', async () => {
     );
 
     return filteredArticles;
-  } catch (error) {
-    throw error;
-  }
+  });
 });
 
 function getDateRange(days) {
@@ -175,143 +264,372 @@ function getDateRange(days) {
 }
 
 
-// Current Weather
+// Weather locations: the plant first, then 'otherLocations'
+function getWeatherLocations({ location, otherLocations }) {
+  return [{ ...location, primary: true }, ...otherLocations.map((other) => ({ ...other, primary: false }))];
+}
+
+/**
+ * Runs fetchLive(location, config) for every weather location, each cached under its own key.
+ * Other locations are only fetched once their cache is 'intervals.otherLocationsRefresh' old,
+ * so adding sites costs few calls against the OpenWeather daily budget. Returns
+ * [{ location, data, fetchedAt, stale }]; a location with no data at all gets 'error' instead.
+ */
+async function fetchForLocations(kind, fetchLive) {
+  const config = getConfig();
+  const results = [];
+
+  // One at a time so every call is counted against the quota before the next starts
+  for (const location of getWeatherLocations(config)) {
+    const key = `${kind}-${location.latitude}_${location.longitude}-${config.units}`;
+    const maxAgeMs = location.primary ? 0 : config.intervals.otherLocationsRefresh;
+    try {
+      const result = await withCache(key, () => fetchLive(location, config), { maxAgeMs });
+      results.push({ location, ...result });
+    } catch (error) {
+      console.error(`Error fetching ${kind} for ${location.name}:`, error.message);
+      results.push({ location, data: null, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Current weather, hourly and daily forecast and alerts in one call
 ipcMain.handle('fetch-weather', async () => {
-  try {
+  return fetchForLocations('weather', async (location, { units, api, quota }) => {
+    consumeCall('openweather', quota);
     const currentWeatherResponse = await axios.get(
-      'https://api.openweathermap.org/data/3.0/onecall',
+      api.oneCallUrl,
       {
         params: {
-          lat: LATITUDE,
-          lon: LONGITUDE,
+          lat: location.latitude,
+          lon: location.longitude,
           appid: WEATHER_API_KEY,
-          units: 'imperial',
-          exclude: 'minutely,alerts',
+          units: units,
+          exclude: 'minutely',
         },
       }
     );
 
     return currentWeatherResponse.data;
-  } catch (error) {
-    throw error;
-  }
+  });
 })
 
-// Forecasted Weather
-ipcMain.handle('fetch-forecast', async () => {
-  try {
-    const forecastResponse = await axios.get(
-      'https://api.openweathermap.org/data/2.5/forecast',
+// Air Quality (only requested when 'airQuality' is in 'weatherDetails')
+ipcMain.handle('fetch-air-quality', async () => {
+  return fetchForLocations('air-quality', async (location, { api, quota }) => {
+    consumeCall('openweather', quota);
+    const airQualityResponse = await axios.get(
+      api.airPollutionUrl,
       {
         params: {
-          lat: LATITUDE,
-          lon: LONGITUDE,
+          lat: location.latitude,
+          lon: location.longitude,
           appid: WEATHER_API_KEY,
-          units: 'imperial',
         },
       }
     );
 
-    return forecastResponse.data;
-  } catch (error) {
-    throw error;
-  }
+    return airQualityResponse.data;
+  });
 })
 
 // Styberg News
-ipcMain.handle('get-news-articles', async () => {
+const ARTICLE_LAYOUTS = ['auto', 'split', 'split-reverse', 'image', 'text'];
+
+// Keep only the front-matter fields StybergNews.js knows how to honor
+function readArticleMetadata(metadata, fileName) {
+  const article = {};
+
+  for (const key of ['title', 'subtitle', 'author', 'imageCaption']) {
+    if (metadata[key] !== undefined && metadata[key] !== null) {
+      article[key] = String(metadata[key]);
+    }
+  }
+
+  if (metadata.priority !== undefined) {
+    if (Number.isFinite(metadata.priority)) {
+      article.priority = metadata.priority;
+    } else {
+      console.warn(`Ignoring priority in ${fileName}: must be a number`);
+    }
+  }
+
+  // Seconds on screen
+  if (metadata.duration !== undefined) {
+    if (Number.isFinite(metadata.duration) && metadata.duration > 0) {
+      article.duration = metadata.duration;
+    } else {
+      console.warn(`Ignoring duration in ${fileName}: must be a positive number of seconds`);
+    }
+  }
+
+  if (metadata.layout !== undefined) {
+    if (ARTICLE_LAYOUTS.includes(metadata.layout)) {
+      article.layout = metadata.layout;
+    } else {
+      console.warn(`Ignoring layout in ${fileName}: must be one of ${ARTICLE_LAYOUTS.join(', ')}`);
+    }
+  }
+
+  return article;
+}
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.webm'];
+const TEXT_EXTENSIONS = ['.txt', '.md', '.html', '.htm'];
+
+function isTextFile(file) {
+  return TEXT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// .txt and .html bodies are already HTML; Markdown is converted here and sanitized in StybergNews.js
+function toArticleHtml(body, fileName) {
+  if (path.extname(fileName).toLowerCase() === '.md') {
+    return marked.parse(body, { gfm: true, breaks: true });
+  }
+  return body;
+}
+
+// A subfolder is one gallery article: its first text file and video plus every image, in name order
+async function readArticleFolder(dir, name) {
+  const files = (await fs.promises.readdir(dir))
+    .filter((file) => !isHiddenOrSystemFile(file))
+    .sort((a, b) => a.localeCompare(b));
+
+  return {
+    name,
+    dir,
+    textFile: files.find(isTextFile),
+    imageFiles: files.filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())),
+    videoFile: files.find((file) => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase())),
+  };
+}
+
+// Parsed articles by id, reused until one of the article's files changes
+const articleCache = new Map();
+
+function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+// Changes whenever any file of the article is edited, added or removed
+async function getArticleVersion(group) {
+  const files = [group.textFile, group.videoFile, ...group.imageFiles].filter(Boolean);
+  const stamps = [];
+
+  for (const file of files) {
+    const stats = await fs.promises.stat(path.join(group.dir, file));
+    stamps.push(`${file}:${stats.mtimeMs}:${stats.size}`);
+  }
+  return shortHash(stamps.join('|'));
+}
+
+async function readArticle(group, newsDir, id, version) {
+  let text = { metadata: {}, body: '' };
+
+  if (group.textFile) {
+    const textContent = await fs.promises.readFile(
+      path.join(group.dir, group.textFile),
+      'utf-8'
+    );
+    text = parseFrontMatter(textContent, group.textFile);
+  }
+
+  const schedule = readSchedule(group.name, text.metadata, group.textFile || group.imageFiles[0] || group.videoFile);
+
+  // Media is served by the styberg-media:// protocol; only URLs go over IPC
+  const toNewsUrl = (file) => toMediaUrl('news', path.relative(newsDir, path.join(group.dir, file)));
+  const images = group.imageFiles.map(toNewsUrl);
+
+  const article = {
+    id,
+    version,
+    type: 'article',
+    title: schedule.name,
+    priority: 0,
+    layout: 'auto',
+    ...readArticleMetadata(text.metadata, group.textFile),
+    description: group.textFile ? toArticleHtml(text.body, group.textFile).trim() : '',
+    imagePath: images[0] || null,
+    images,
+    videoUrl: group.videoFile ? toNewsUrl(group.videoFile) : null,
+  };
+
+  return { article, schedule };
+}
+
+/**
+ * Returns the changes since the renderer's last load. `known` maps article ids to the versions
+ * the renderer already has; the reply lists added, updated and removed articles plus the
+ * display order of every live id. `order` is null when the folder couldn't be read, in which
+ * case the renderer keeps what it has.
+ */
+ipcMain.handle('get-news-articles', async (_event, known = {}) => {
+  const newsDir = getConfig().content.newsDir;
   try {
-    const files = await fs.promises.readdir(newsDir);
+    const entries = await fs.promises.readdir(newsDir, { withFileTypes: true });
     const articles = [];
+    const schedules = [];
+    const seenIds = new Set();
 
+    // Standalone files in the root are grouped by base name; subfolders are gallery articles
     const fileGroups = {};
 
-    for (const file of files) {
+    for (const entry of entries) {
+      const file = entry.name;
+      if (isHiddenOrSystemFile(file)) continue;
+
+      if (entry.isDirectory()) {
+        fileGroups[`${file}/`] = await readArticleFolder(path.join(newsDir, file), file);
+        continue;
+      }
+
       const ext = path.extname(file).toLowerCase();
       const baseName = path.basename(file, ext);
 
       if (!fileGroups[baseName]) {
-        fileGroups[baseName] = {};
+        fileGroups[baseName] = { name: baseName, dir: newsDir, imageFiles: [] };
       }
 
-      if (ext === '.txt') {
+      if (TEXT_EXTENSIONS.includes(ext)) {
         fileGroups[baseName].textFile = file;
-      } else if (['.jpg', '.jpeg', '.png', '.gif', '.bmp'].includes(ext)) {
-        fileGroups[baseName].imageFile = file;
+      } else if (IMAGE_EXTENSIONS.includes(ext)) {
+        fileGroups[baseName].imageFiles.push(file);
+      } else if (VIDEO_EXTENSIONS.includes(ext)) {
+        fileGroups[baseName].videoFile = file;
       }
     }
 
-    for (const baseName in fileGroups) {
-      const group = fileGroups[baseName];
-      let imageData;
+    for (const key in fileGroups) {
+      const group = fileGroups[key];
 
-      if (group.imageFile) {
-        const imagePath = path.join(newsDir, group.imageFile);
-        const imageBuffer = await fs.promises.readFile(imagePath);
-        const mimeType = mime.lookup(group.imageFile) || 'application/octet-stream';
-        imageData = `data:${mimeType};base64,${imageBuffer.toString('base64')}`;
-      }
+      if (!group.textFile && group.imageFiles.length === 0 && !group.videoFile) continue;
 
-      if (group.textFile && group.imageFile) {
-        const textContent = await fs.promises.readFile(
-          path.join(newsDir, group.textFile),
-          'utf-8'
-        );
-
-        articles.push({
-          type: 'article',
-          title: baseName,
-          description: textContent.trim(),
-          imagePath: imageData,
-        });
+      // The id follows the file or folder name; the version follows its contents
+      const id = shortHash(key);
+      const version = await getArticleVersion(group);
+      seenIds.add(id);
 
-      } else if (group.textFile) {
-        const textContent = await fs.promises.readFile(
-          path.join(newsDir, group.textFile),
-          'utf-8'
-        );
-
-        articles.push({
-          type: 'article',
-          title: baseName,
-          description: textContent.trim(),
-          imagePath: null,
-        });
-      } else if (group.imageFile) {
-        articles.push({
-          type: 'article',
-          title: baseName,
-          description: '',
-          imagePath: imageData,
-        });
+      let cached = articleCache.get(id);
+      if (!cached || cached.version !== version) {
+        cached = { version, ...(await readArticle(group, newsDir, id, version)) };
+        articleCache.set(id, cached);
       }
+
+      // Not yet published or already expired
+      schedules.push(cached.schedule);
+      if (!isLive(cached.schedule)) continue;
+
+      articles.push(cached.article);
     } 
-    return articles;
+
+    for (const id of articleCache.keys()) {
+      if (!seenIds.has(id)) articleCache.delete(id);
+    }
+
+    // Higher priority first; equal priorities keep directory order
+    articles.sort((a, b) => b.priority - a.priority);
+    armBoundaryTimer('news', schedules, onContentChanged);
+
+    const order = articles.map((article) => article.id);
+    return {
+      added: articles.filter((article) => !(article.id in known)),
+      updated: articles.filter((article) => article.id in known && known[article.id] !== article.version),
+      removed: Object.keys(known).filter((id) => !order.includes(id)),
+      order,
+    };
   } catch (error) {
     console.error('Error reading news articles:', error);
-    return []; 
+    return { added: [], updated: [], removed: [], order: null };
   }
 });
 
 // Announcements
+const ANNOUNCEMENT_PRIORITIES = ['normal', 'important', 'urgent'];
+// "URGENT - Gas leak drill.txt", "Important_Open enrollment.txt"
+const PRIORITY_PREFIX_PATTERN = /^(important|urgent)(?:\s*[-_:]\s*|\s+)/i;
+
+/**
+ * Front-matter 'priority' wins over a file name prefix; anything else is 'normal'.
+ */
+function readAnnouncementPriority(name, metadata, fileName) {
+  if (metadata.priority !== undefined) {
+    const priority = String(metadata.priority).toLowerCase();
+    if (ANNOUNCEMENT_PRIORITIES.includes(priority)) return priority;
+    console.warn(`Ignoring priority in ${fileName}: must be one of ${ANNOUNCEMENT_PRIORITIES.join(', ')}`);
+  }
+
+  const match = PRIORITY_PREFIX_PATTERN.exec(name);
+  return match ? match[1].toLowerCase() : 'normal';
+}
+
+// Announcements longer than the card holds are shown as a scrolling ticker ('mode').
+// Sorted most urgent first, then by file name.
 ipcMain.handle('get-announcements', async () => {
+  const { content: { announcementsDir }, announcements: limits } = getConfig();
   try {
-    const files = await fs.promises.readdir(announcementsDir);
+    const files = await fs.promises.readdir(announcementsDir, { withFileTypes: true });
     const announcements = [];
+    const schedules = [];
+    const rejected = [];
+
+    for (const entry of files) {
+      const file = entry.name;
+      if (!entry.isFile() || file === STATUS_FILE_NAME || isHiddenOrSystemFile(file)) continue;
 
-    for (const file of files) {
       const filePath = path.join(announcementsDir, file);
+      const ext = path.extname(file).toLowerCase();
 
-      if (path.extname(file).toLowerCase() === '.txt') {
-        const content = await fs.promises.readFile(filePath, 'utf-8');
-        const trimmedContent = content.trim();
+      if (ext !== '.txt') {
+        rejected.push({ file, reason: 'not a .txt file' });
+        continue;
+      }
 
-        if (trimmedContent.length > 0 && trimmedContent.length <= 100) {
-          announcements.push({ content: trimmedContent });
-        }
+      let content;
+      try {
+        content = await fs.promises.readFile(filePath, 'utf-8');
+      } catch (error) {
+        rejected.push({ file, reason: `could not be read (${error.code || error.message})` });
+        continue;
       }
+
+      const { metadata, body } = parseFrontMatter(content, file);
+      const trimmedContent = body.trim();
+
+      const schedule = readSchedule(path.basename(file, ext), metadata, file);
+      schedules.push(schedule);
+
+      if (trimmedContent.length === 0) {
+        rejected.push({ file, reason: 'the file is empty' });
+        continue;
+      }
+      if (trimmedContent.length > limits.tickerMaxChars) {
+        rejected.push({
+          file,
+          reason: `too long (${trimmedContent.length} characters, the limit is ${limits.tickerMaxChars})`,
+        });
+        continue;
+      }
+      if (!isLive(schedule)) continue;
+
+      // Optional front-matter duration in seconds overrides the reading time
+      const duration = Number.isFinite(metadata.duration) && metadata.duration > 0
+        ? metadata.duration
+        : undefined;
+      const mode = trimmedContent.length > limits.cardMaxChars ? 'ticker' : 'card';
+      const priority = readAnnouncementPriority(schedule.name, metadata, file);
+      announcements.push({ file, content: trimmedContent, duration, mode, priority });
     }
 
+    announcements.sort((a, b) =>
+      ANNOUNCEMENT_PRIORITIES.indexOf(b.priority) - ANNOUNCEMENT_PRIORITIES.indexOf(a.priority)
+      || a.file.localeCompare(b.file)
+    );
+
+    armBoundaryTimer('announcements', schedules, onContentChanged);
+    reportRejectedFiles('announcements', announcementsDir, rejected);
     return announcements;
   } catch (error) {
     console.error('Error reading announcements:', error);
@@ -329,4 +647,4 @@ app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     createWindow();
   }
-});
\ No newline at end of file
+});
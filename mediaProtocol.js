@@ -0,0 +1,157 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Serves files from the content shares to the renderer through the 'styberg-media://' protocol,
+* so images and videos are read from disk on demand instead of being base64-encoded over IPC.
+*
+*   styberg-media://news/Safety%20Week/forklift.mp4 -> <newsDir>/Safety Week/forklift.mp4
+*   styberg-media://scenes/rain.splinecode          -> Spline scene bundled with the app
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Registration
+*   - registerMediaScheme() must run before the app is ready so the scheme is privileged for
+*     streaming and fetch
+*   - handleMediaProtocol() installs the handler once the app is ready
+*
+* 2) Serving
+*   - The host names a content root ('news', 'scenes'); paths that escape the root are refused
+*   - Files may be fetch()ed from the renderer's page (the Spline runtime loads its scenes that way)
+*   - Range requests are answered with 206 responses so <video> can seek and stream
+*   - Images larger than the display are served from the downscaled thumbnail cache
+*
+* 3) Other Hosts
+*   - Hosts that aren't file roots (e.g. 'tiles' for the radar map, see tileProxy.js) are passed
+*     to the handler registered for them
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { protocol, screen } = require('electron');
+const mime = require('mime-types');
+const { getThumbnail } = require('./thumbnailCache');
+
+const MEDIA_SCHEME = 'styberg-media';
+
+function registerMediaScheme() {
+  protocol.registerSchemesAsPrivileged([
+    {
+      scheme: MEDIA_SCHEME,
+      privileges: { standard: true, secure: true, stream: true, supportFetchAPI: true, corsEnabled: true },
+    },
+  ]);
+}
+
+/**
+ * Builds the URL for a file under one of the content roots.
+ */
+function toMediaUrl(root, relPath) {
+  const encoded = relPath.split(/[\\/]/).map(encodeURIComponent).join('/');
+  return `${MEDIA_SCHEME}://${root}/${encoded}`;
+}
+
+function resolveMediaPath(url, getRoots) {
+  const { host, pathname } = new URL(url);
+  const rootDir = getRoots()[host];
+  if (!rootDir) return null;
+
+  const filePath = path.resolve(rootDir, '.' + decodeURIComponent(pathname));
+  const relative = path.relative(path.resolve(rootDir), filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+  return filePath;
+}
+
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : null;
+}
+
+// Largest image the display can show, in physical pixels
+function getMaxImageSize() {
+  const { size, scaleFactor } = screen.getPrimaryDisplay();
+  return { width: Math.round(size.width * scaleFactor), height: Math.round(size.height * scaleFactor) };
+}
+
+async function serveFile(filePath, rangeHeader) {
+  const stats = await fs.promises.stat(filePath);
+  const headers = {
+    'Content-Type': mime.lookup(filePath) || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Access-Control-Allow-Origin': '*',
+  };
+
+  const range = rangeHeader ? parseRange(rangeHeader, stats.size) : null;
+  if (rangeHeader && !range) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${stats.size}` } });
+  }
+
+  const { start, end } = range || { start: 0, end: stats.size - 1 };
+  const stream = Readable.toWeb(fs.createReadStream(filePath, { start, end }));
+
+  return new Response(stream, {
+    status: range ? 206 : 200,
+    headers: {
+      ...headers,
+      'Content-Length': String(end - start + 1),
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${stats.size}` }),
+    },
+  });
+}
+
+/**
+ * Installs the protocol handler. getRoots returns the current { root: directory } map so a
+ * config reload is picked up without re-registering. hostHandlers maps other hosts to a
+ * function that takes the request and returns a Response.
+ */
+function handleMediaProtocol(getRoots, hostHandlers = {}) {
+  protocol.handle(MEDIA_SCHEME, async (request) => {
+    const hostHandler = hostHandlers[new URL(request.url).host];
+    if (hostHandler) {
+      return hostHandler(request);
+    }
+
+    const filePath = resolveMediaPath(request.url, getRoots);
+    if (!filePath) {
+      return new Response(null, { status: 403 });
+    }
+
+    try {
+      const thumbnail = await getThumbnail(filePath, getMaxImageSize());
+      if (thumbnail) {
+        return new Response(thumbnail.buffer, {
+          headers: { 'Content-Type': thumbnail.contentType, 'Content-Length': String(thumbnail.buffer.length) },
+        });
+      }
+
+      return await serveFile(filePath, request.headers.get('Range'));
+    } catch (error) {
+      console.error('Error serving media file:', error.message);
+      return new Response(null, { status: 404 });
+    }
+  });
+}
+
+module.exports = {
+  registerMediaScheme,
+  handleMediaProtocol,
+  toMediaUrl,
+};
@@ -26,6 +26,7 @@
 * IPC Communication:
 * -------------------
 * Renderer process initiates request -> preload handles request -> main process responds
+* Main process pushes an event (e.g. 'config-changed') -> preload forwards it to the subscribed callback
 * 
 * Data Flow:
 * ----------
@@ -55,13 +56,35 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Directory APIs
   getAnnouncements: () => ipcRenderer.invoke('get-announcements'),
-  getNewsArticles: () => ipcRenderer.invoke('get-news-articles'),
+  getNewsArticles: (known) => ipcRenderer.invoke('get-news-articles', known),
+  onContentChanged: (callback) => {
+    const listener = (_event, change) => callback(change);
+    ipcRenderer.on('content-changed', listener);
+    return () => ipcRenderer.removeListener('content-changed', listener);
+  },
+
+  // Emergency Broadcast
+  getEmergency: () => ipcRenderer.invoke('get-emergency'),
+  onEmergencyChanged: (callback) => {
+    const listener = (_event, emergency) => callback(emergency);
+    ipcRenderer.on('emergency-changed', listener);
+    return () => ipcRenderer.removeListener('emergency-changed', listener);
+  },
 
   // HTTP APIs
   fetchWeather: () => ipcRenderer.invoke('fetch-weather'),
-  fetchForecast: () => ipcRenderer.invoke('fetch-forecast'),
+  fetchAirQuality: () => ipcRenderer.invoke('fetch-air-quality'),
   fetchNews: () => ipcRenderer.invoke('fetch-news'),
+  fetchApiUsage: () => ipcRenderer.invoke('fetch-api-usage'),
 
   // Environment
   fetchEnvironment: () => ipcRenderer.invoke('fetch-environment'),
+
+  // Configuration
+  fetchConfig: () => ipcRenderer.invoke('fetch-config'),
+  onConfigChanged: (callback) => {
+    const listener = (_event, config) => callback(config);
+    ipcRenderer.on('config-changed', listener);
+    return () => ipcRenderer.removeListener('config-changed', listener);
+  },
 });
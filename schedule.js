@@ -0,0 +1,125 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Publish and expiry windows for News articles and Announcements. A window comes from the
+* item's front matter ('start' / 'end') or from a date prefix on the file name:
+*
+*   2026-11-01_2026-11-15 Food Drive.txt   -> live Nov 1 through the end of Nov 15
+*   2026-11-01 Food Drive.txt              -> live from Nov 1, no expiry
+*
+* Front-matter dates win over the file name and may include a time ('2026-11-01 07:30').
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Parsing
+*   - Dates are local time; a date without a time starts at midnight and an end date without a
+*     time runs through the end of that day
+*   - Impossible dates ('2026-11-31', '2026-13-45', '25:00') are ignored with a warning instead of
+*     rolling over into another day
+*
+* 2) Filtering
+*   - isLive() tells the handlers whether an item should be shown right now
+*
+* 3) Boundary Timers
+*   - armBoundaryTimer() fires at the next start or end among a folder's items so the renderer
+*     reloads at the right minute without a restart
+*/
+
+const NAME_PREFIX = /^(\d{4}-\d{2}-\d{2})(?:_(\d{4}-\d{2}-\d{2}))?\s+(.+)$/;
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/;
+
+// setTimeout can't wait longer than ~24.8 days; re-check at least daily instead
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+const boundaryTimers = {};
+
+/**
+ * Parses 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM' as local time. Returns a timestamp or null.
+ */
+function parseDate(value, isEnd) {
+  const match = String(value).trim().match(DATE_TIME);
+  if (!match) return null;
+
+  const [year, month, day, hours = 0, minutes = 0] = match.slice(1).map((part) => (
+    part === undefined ? undefined : Number(part)
+  ));
+  const date = new Date(year, month - 1, day, hours, minutes);
+
+  // The Date constructor rolls out-of-range parts over into the next month or day
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day
+    || date.getHours() !== hours || date.getMinutes() !== minutes) {
+    return null;
+  }
+
+  if (isEnd && match[4] === undefined) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+/**
+ * Splits a date prefix off a file's base name. Returns { name, start, end }.
+ */
+function parseScheduleFromName(baseName, fileName) {
+  const match = baseName.match(NAME_PREFIX);
+  if (!match) return { name: baseName, start: null, end: null };
+
+  const [, startText, endText, name] = match;
+  const start = parseDate(startText, false);
+  const end = endText ? parseDate(endText, true) : null;
+
+  if (start === null) console.warn(`Ignoring start date in the name of ${fileName}: ${startText} is not a valid date`);
+  if (endText && end === null) console.warn(`Ignoring end date in the name of ${fileName}: ${endText} is not a valid date`);
+
+  return { name, start, end };
+}
+
+/**
+ * Combines the file name prefix with 'start' / 'end' front matter. Returns { name, start, end }.
+ */
+function readSchedule(baseName, metadata, fileName) {
+  const schedule = parseScheduleFromName(baseName, fileName);
+
+  for (const key of ['start', 'end']) {
+    if (metadata[key] === undefined || metadata[key] === null) continue;
+
+    const timestamp = parseDate(metadata[key], key === 'end');
+    if (timestamp === null) {
+      console.warn(`Ignoring ${key} in ${fileName}: expected a valid YYYY-MM-DD or YYYY-MM-DD HH:MM`);
+    } else {
+      schedule[key] = timestamp;
+    }
+  }
+
+  return schedule;
+}
+
+function isLive(schedule, now = Date.now()) {
+  return (schedule.start === null || schedule.start <= now)
+    && (schedule.end === null || now < schedule.end);
+}
+
+/**
+ * Calls onDue(source) at the next future start or end among the given schedules.
+ */
+function armBoundaryTimer(source, schedules, onDue) {
+  clearTimeout(boundaryTimers[source]);
+
+  const now = Date.now();
+  const upcoming = schedules
+    .flatMap((schedule) => [schedule.start, schedule.end])
+    .filter((timestamp) => timestamp !== null && timestamp > now);
+
+  if (upcoming.length === 0) return;
+
+  const delay = Math.min(Math.min(...upcoming) - now, MAX_TIMER_MS);
+  boundaryTimers[source] = setTimeout(() => onDue(source), delay);
+}
+
+module.exports = {
+  readSchedule,
+  isLive,
+  armBoundaryTimer,
+};
@@ -0,0 +1,83 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Downloads the Spline scenes into 'public/scenes' so they are copied into the build and
+* packaged with the app; the displays then load them over 'styberg-media://scenes/...'
+* without reaching prod.spline.design.
+*
+*   npm run fetch-scenes   -> downloads any scene that isn't there yet
+*
+* Runs before every 'npm run build' ('prebuild'). Pass '--force' to download them all again
+* after a scene has been republished in Spline.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Scenes
+*   - SCENES maps the name the renderer asks for to the Spline scene id
+*   - To add a scene: publish it in Spline, add it here and use its name in the renderer
+*
+* 2) Failures
+*   - A scene that can't be downloaded is reported and skipped rather than failing the build;
+*     the renderer shows its fallback art where a scene is missing
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const axios = require('axios');
+
+const SCENE_URL = 'https://prod.spline.design';
+const SCENES_DIR = path.join(__dirname, '..', 'public', 'scenes');
+
+const SCENES = {
+  cog: 'PcTvXjX0OASTTpJE',
+  plate: 'ntHaYlB77t7Py4zK',
+  thunderstorm: '7lS05oiXnQySeZkS',
+  drizzle: 'DdRBFtXUE86cx4jm',
+  rain: 'AC2lpPCp12jHnalJ',
+  snow: 'Dp9BU2YzDb3596Wa',
+  'clear-day': 'xkvpDnlvZzRdSQNn',
+  'clear-night': 'z8W5wcwZzUzjjLJi',
+  'clouds-day': 'JS3HK7e12qyvx4De',
+  overcast: 'f4Qkqev0L-eCm-pA',
+};
+
+async function fetchScene(name, id, force) {
+  const filePath = path.join(SCENES_DIR, `${name}.splinecode`);
+  if (!force && fs.existsSync(filePath)) return 'present';
+
+  const response = await axios.get(`${SCENE_URL}/${id}/scene.splinecode`, {
+    responseType: 'arraybuffer',
+    timeout: 60 * 1000,
+  });
+
+  // Written to a temporary file first so an interrupted download isn't taken for a scene
+  await fs.promises.writeFile(`${filePath}.download`, Buffer.from(response.data));
+  await fs.promises.rename(`${filePath}.download`, filePath);
+  return 'downloaded';
+}
+
+async function fetchScenes() {
+  const force = process.argv.includes('--force');
+  await fs.promises.mkdir(SCENES_DIR, { recursive: true });
+
+  let failed = 0;
+  for (const [name, id] of Object.entries(SCENES)) {
+    try {
+      const result = await fetchScene(name, id, force);
+      console.log(`${name}: ${result}`);
+    } catch (error) {
+      failed += 1;
+      console.warn(`${name}: could not be downloaded (${error.message})`);
+    }
+  }
+
+  if (failed > 0) {
+    console.warn(`${failed} scene(s) missing; the app will show fallback art in their place.`);
+  }
+}
+
+fetchScenes();
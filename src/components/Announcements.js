@@ -6,36 +6,104 @@
  * Key Features:
  * - **Data Fetching:**
  *   - Retrieves announcements from the main process via IPC (`window.electronAPI.getAnnouncements()`).
- *   - Refreshes announcements every minute.
+ *   - Reloads announcements when the main process reports a change in the Announcements folder (`onContentChanged`).
+ *   - Announcements outside their publish window (file name dates or `start`/`end` front matter) are filtered out
+ *     by the main process, which also triggers a reload when a window opens or closes.
  * - **Announcement Rotation:**
- *   - Automatically cycles through announcements every 30 seconds.
+ *   - Automatically cycles through announcements, showing each for its reading time (`getDisplayDuration`)
+ *     or its front-matter `duration` in seconds.
+ *   - Announcements arrive sorted most urgent first. Important and urgent ones come around more often
+ *     (`announcements.importantFrequency` / `urgentFrequency` times per cycle), spread out by `buildRotation`.
+ * - **Priority Levels:**
+ *   - `normal`, `important` or `urgent`, from front matter (`priority: urgent`) or a file name prefix
+ *     (`URGENT - Fire drill.txt`), read by the main process.
+ *   - Important and urgent announcements get their own card colors and a labeled icon (`PRIORITY_STYLES`).
  * - **Content Display:**
- *   - Shows the content of the current announcement in a styled container.
+ *   - Shows the content of the current announcement in a styled container, shrinking the text (`FitText`)
+ *     until it fits the card.
+ *   - Announcements the main process marks as too long for the card (`mode: 'ticker'`) scroll across it
+ *     as a ticker (`Ticker`); the slot is rounded up to whole passes so the text is never cut off mid-pass.
  *   - Includes a header with the "Announcements" title.
  * - **UI Elements:**
- *   - Displays indicators at the bottom representing the number of announcements.
+ *   - Displays indicators at the bottom representing the number of announcements; the current one fills
+ *     to show how much time is left.
  *
  * Notes for Developers:
  * - **State Management:**
- *   - Manages announcements and current index using React's `useState`.
+ *   - Manages announcements and the position in the rotation using React's `useState`.
  * - **Effect Hooks:**
- *   - Uses `useEffect` for data fetching and setting up intervals.
+ *   - Uses `useEffect` for data fetching and setting up the rotation timer.
  * - **Customization:**
- *   - Adjust rotation and refresh intervals (`carouselInterval` and `refreshInterval`) as needed.
+ *   - Reading-time bounds and ticker speed come from the config file (`useConfig`) and update live.
+ *   - The card/ticker cut-off and the longest allowed announcement are `announcements.cardMaxChars` and
+ *     `announcements.tickerMaxChars`; rejected files are listed in the status file on the share.
  */
 
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { FaExclamationCircle, FaExclamationTriangle } from 'react-icons/fa';
+import useConfig from '../hooks/useConfig';
+import ProgressBars from './ProgressBars';
+import FitText from './FitText';
+import Ticker from './Ticker';
+import { getDisplayDuration } from '../utils/readingTime';
+
+// Card colors, text color and label per priority level
+const PRIORITY_STYLES = {
+  normal: { card: 'bg-white/5', text: 'text-white' },
+  important: {
+    card: 'bg-amber-500/15 border-l-8 border-amber-400',
+    text: 'text-amber-50',
+    label: 'Important',
+    labelColor: 'text-amber-300',
+    Icon: FaExclamationCircle,
+  },
+  urgent: {
+    card: 'bg-red-700/40 border-l-8 border-red-500',
+    text: 'text-white font-semibold',
+    label: 'Urgent',
+    labelColor: 'text-red-300',
+    Icon: FaExclamationTriangle,
+  },
+};
+
+/**
+ * Order in which announcements are shown: each appears as many times per cycle as its priority's
+ * frequency, spread out through the cycle (smooth weighted round robin). Returns announcement indexes.
+ */
+function buildRotation(announcements, frequencies) {
+  const weights = announcements.map(({ priority }) => frequencies[priority] || 1);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const credit = weights.map(() => 0);
+  const rotation = [];
+
+  for (let step = 0; step < total; step++) {
+    let next = 0;
+    weights.forEach((weight, index) => {
+      credit[index] += weight;
+      if (credit[index] > credit[next]) next = index;
+    });
+    credit[next] -= total;
+    rotation.push(next);
+  }
+
+  return rotation;
+}
 
 function Announcements() {
+  const config = useConfig();
   const [announcements, setAnnouncements] = useState([]);
-  const [currentAnnouncementIndex, setCurrentAnnouncementIndex] = useState(0);
+  const [rotationPosition, setRotationPosition] = useState(0);
+  // Bumped on every advance so the timer re-arms even when there is only one announcement
+  const [slotNumber, setSlotNumber] = useState(0);
+  const [tickerPass, setTickerPass] = useState(null);
   const carouselInterval = useRef(null);
 
   const fetchAnnouncements = async () => {
     try {
       const data = await window.electronAPI.getAnnouncements();
       setAnnouncements(data);
+      setSlotNumber((prevSlot) => prevSlot + 1);
     } catch (error) {
       console.error('Error fetching announcements:', error);
     }
@@ -44,23 +112,54 @@ function Announcements() {
   useEffect(() => {
     fetchAnnouncements();
 
-    const refreshInterval = setInterval(() => {
-      fetchAnnouncements();
-    }, 60000);
-    return () => { clearInterval(refreshInterval); };
+    return window.electronAPI.onContentChanged(({ source }) => {
+      if (source === 'announcements') fetchAnnouncements();
+    });
   }, []);
 
+  const importantFrequency = config?.announcements.importantFrequency;
+  const urgentFrequency = config?.announcements.urgentFrequency;
+  const rotation = useMemo(
+    () => buildRotation(announcements, { important: importantFrequency, urgent: urgentFrequency }),
+    [announcements, importantFrequency, urgentFrequency]
+  );
+
   // Carousel logic
+  const position = rotationPosition < rotation.length ? rotationPosition : 0;
+  const currentIndex = rotation.length > 0 ? rotation[position] : 0;
+  const currentAnnouncement = announcements[currentIndex];
+  let slotMs = currentAnnouncement && getDisplayDuration(
+    currentAnnouncement.content,
+    { durationSeconds: currentAnnouncement.duration },
+    config?.readingTime
+  );
+
+  // Tickers run whole passes: at least one, and enough to cover the reading time
+  const isTicker = currentAnnouncement?.mode === 'ticker';
+  if (isTicker && slotMs) {
+    const passMs = tickerPass?.content === currentAnnouncement.content ? tickerPass.ms : null;
+    slotMs = passMs ? Math.max(1, Math.ceil(slotMs / passMs)) * passMs : null;
+  }
+
   useEffect(() => {
-    if (announcements.length > 0) {
-      carouselInterval.current = setInterval(() => {
-        setCurrentAnnouncementIndex((prevIndex) =>
-          prevIndex === announcements.length - 1 ? 0 : prevIndex + 1
+    if (rotation.length > 0 && slotMs) {
+      carouselInterval.current = setTimeout(() => {
+        setRotationPosition((prevPosition) =>
+          prevPosition >= rotation.length - 1 ? 0 : prevPosition + 1
         );
-      }, 30000);
+        setSlotNumber((prevSlot) => prevSlot + 1);
+      }, slotMs);
     }
-    return () => clearInterval(carouselInterval.current);
-  }, [announcements]);
+    return () => clearTimeout(carouselInterval.current);
+  }, [rotation, position, slotNumber, slotMs]);
+
+  const style = PRIORITY_STYLES[currentAnnouncement?.priority] || PRIORITY_STYLES.normal;
+  const label = style.label && (
+    <div className={`flex items-center gap-3 text-2xl font-bold uppercase tracking-wider ${style.labelColor}`}>
+      <style.Icon />
+      {style.label}
+    </div>
+  );
 
   return (
     <div className="relative flex flex-col w-1/3 shadow-lg overflow-hidden">
@@ -70,13 +169,30 @@ function Announcements() {
         </h1>
       </div>
       {announcements.length > 0 ? (
-        <div className="backdrop-blur-sm bg-white/5 h-full">
-          <p className='flex p-10 m-10 justify-center items-center text-4xl text-wrap text-center'>
-            {announcements[currentAnnouncementIndex].content}
-          </p>
-        </div>
+        isTicker ? (
+          <div className={`flex flex-col flex-1 min-h-0 justify-center backdrop-blur-sm pb-10 ${style.card} ${style.text}`}>
+            {label && <div className="px-10 mb-4">{label}</div>}
+            <Ticker
+              key={slotNumber}
+              text={currentAnnouncement.content}
+              className="w-full text-5xl py-4"
+              pixelsPerSecond={config?.announcements.tickerPixelsPerSecond}
+              onDurationChange={(ms) => setTickerPass({ content: currentAnnouncement.content, ms })}
+            />
+          </div>
+        ) : (
+          <div className={`flex flex-col flex-1 min-h-0 backdrop-blur-sm p-10 pb-16 ${style.card} ${style.text}`}>
+            {label}
+            <FitText
+              key={`${currentIndex}-${currentAnnouncement.content}`}
+              className='flex flex-1 min-h-0 justify-center items-center text-wrap text-center'
+            >
+              <p>{currentAnnouncement.content}</p>
+            </FitText>
+          </div>
+        )
       ) : (
-        <div className='h-full flex items-center justify-center bg-white/5 backdrop-blur-sm'>
+        <div className='flex-1 flex items-center justify-center bg-white/5 backdrop-blur-sm'>
           <p className='text-gray-500'>
             No announcements today. Have a great day!
           </p>
@@ -84,16 +200,12 @@ function Announcements() {
       )}
 
       {/* Dots Indicator */}
-      <div className="absolute bottom-0 left-0 right-0 flex justify-start mb-4 ml-4">
-        {announcements.map((_, index) => (
-          <div
-            key={index}
-            className={`w-6 h-2 mr-1 rounded ${
-              index === currentAnnouncementIndex ? 'bg-white' : 'bg-gray-500'
-            }`}
-          />
-        ))}
-      </div>
+      <ProgressBars
+        keys={announcements.map((_, index) => index)}
+        currentIndex={currentIndex}
+        durationMs={slotMs}
+        slotKey={slotNumber}
+      />
     </div>
   );
 }
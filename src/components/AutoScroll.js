@@ -0,0 +1,81 @@
+/**
+ * AutoScroll Component
+ *
+ * Scrolls content that is taller than its container during the item's display slot, since the
+ * displays have no mouse: pause at the top, scroll at a readable speed, pause at the bottom.
+ *
+ * Key Features:
+ * - **Measurement:**
+ *   - Measures how far the content overflows the container, and re-measures with a `ResizeObserver`
+ *     when images load or the window resizes.
+ * - **Scrolling:**
+ *   - Uses a linear CSS transform transition delayed by `pauseTopMs`, so the scroll runs on the GPU.
+ * - **Timing:**
+ *   - Reports the total time it needs (`pauseTopMs` + scroll + `pauseBottomMs`, or 0 when nothing
+ *     overflows) through `onDurationChange` so the carousel can stretch the slot.
+ *
+ * Notes for Developers:
+ * - **Resetting:**
+ *   - Give the component a `key` per article so every article starts at the top.
+ * - **Sizing:**
+ *   - The container needs a bounded height (e.g. `flex-1 min-h-0` inside a sized flex column).
+ */
+
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+function AutoScroll({ children, className = '', pixelsPerSecond, pauseTopMs, pauseBottomMs, onDurationChange }) {
+  const containerRef = useRef(null);
+  const contentRef = useRef(null);
+  const [overflow, setOverflow] = useState(0);
+  const [scrolling, setScrolling] = useState(false);
+  // Parents pass a new callback on every render; only a change in duration should report
+  const onDurationChangeRef = useRef(onDurationChange);
+  onDurationChangeRef.current = onDurationChange;
+
+  useLayoutEffect(() => {
+    const measure = () => {
+      if (!containerRef.current || !contentRef.current) return;
+      const distance = contentRef.current.scrollHeight - containerRef.current.clientHeight;
+      setOverflow(Math.max(0, Math.ceil(distance)));
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(containerRef.current);
+    observer.observe(contentRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const scrollMs = overflow > 0 && pixelsPerSecond ? (overflow / pixelsPerSecond) * 1000 : 0;
+
+  useEffect(() => {
+    if (onDurationChangeRef.current) {
+      onDurationChangeRef.current(scrollMs > 0 ? Math.round(pauseTopMs + scrollMs + pauseBottomMs) : 0);
+    }
+  }, [scrollMs, pauseTopMs, pauseBottomMs]);
+
+  // Start from the top on the next frame so the transition actually runs
+  useEffect(() => {
+    setScrolling(false);
+    if (scrollMs === 0) return;
+
+    const frame = requestAnimationFrame(() => setScrolling(true));
+    return () => cancelAnimationFrame(frame);
+  }, [scrollMs]);
+
+  return (
+    <div ref={containerRef} className={`overflow-hidden ${className}`}>
+      <div
+        ref={contentRef}
+        style={{
+          transform: scrolling ? `translateY(-${overflow}px)` : 'translateY(0)',
+          transition: scrolling ? `transform ${scrollMs}ms linear ${pauseTopMs}ms` : 'none',
+        }}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default AutoScroll;
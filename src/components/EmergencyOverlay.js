@@ -0,0 +1,108 @@
+/**
+ * EmergencyOverlay Component
+ *
+ * Full-screen, high-contrast emergency broadcast shown over the whole app while the reserved
+ * emergency file exists on the share.
+ *
+ * Key Features:
+ * - **Data Fetching:**
+ *   - Asks the main process for the current broadcast on mount (`window.electronAPI.getEmergency()`), so a
+ *     display that restarts mid-emergency shows it straight away.
+ *   - Follows `onEmergencyChanged`, which the main process pushes within a couple of seconds of the file
+ *     appearing, changing or being removed.
+ * - **Content Display:**
+ *   - Title (front matter `title`, default "EMERGENCY"), the message shrunk to fit (`FitText`) and the time
+ *     the broadcast started.
+ * - **Sound:**
+ *   - With `sound: true` in the file's front matter, an attention tone is played (Web Audio, no sound file
+ *     needed) when the broadcast starts or its text changes.
+ *
+ * Notes for Developers:
+ * - **Layering:**
+ *   - Rendered last in `App.js` with `fixed inset-0 z-50` so it covers the Spline scenes and every panel.
+ *   - Everything underneath keeps running, so the displays are up to date the moment the broadcast ends.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import useConfig from '../hooks/useConfig';
+import FitText from './FitText';
+import { getTimeFormat, formatDateTime } from '../utils/formatting';
+
+const MESSAGE_SIZES = ['text-7xl', 'text-6xl', 'text-5xl', 'text-4xl', 'text-3xl'];
+
+// Alternating two-tone beeps, about three seconds long
+function playAttentionTone() {
+  const context = new AudioContext();
+  const start = context.currentTime;
+
+  for (let beep = 0; beep < 8; beep++) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const beepStart = start + beep * 0.4;
+
+    oscillator.type = 'square';
+    oscillator.frequency.value = beep % 2 === 0 ? 880 : 660;
+    gain.gain.setValueAtTime(0.2, beepStart);
+    gain.gain.setValueAtTime(0, beepStart + 0.3);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(beepStart);
+    oscillator.stop(beepStart + 0.3);
+  }
+
+  setTimeout(() => context.close(), 4000);
+}
+
+function EmergencyOverlay() {
+  const config = useConfig();
+  const [emergency, setEmergency] = useState(null);
+
+  useEffect(() => {
+    const fetchEmergency = async () => {
+      try {
+        const data = await window.electronAPI.getEmergency();
+        setEmergency(data);
+      } catch (error) {
+        console.error('Error fetching emergency broadcast:', error);
+      }
+    };
+
+    fetchEmergency();
+    return window.electronAPI.onEmergencyChanged(setEmergency);
+  }, []);
+
+  useEffect(() => {
+    if (!emergency?.sound) return;
+    try {
+      playAttentionTone();
+    } catch (error) {
+      console.error('Error playing attention tone:', error);
+    }
+  }, [emergency]);
+
+  if (!emergency) return null;
+
+  const since = formatDateTime(new Date(emergency.since), getTimeFormat(config), { hour: 'numeric', minute: '2-digit' });
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-red-700 text-white">
+      <div className="h-6 bg-yellow-400" />
+      <div className="flex items-center justify-center gap-8 pt-12 text-yellow-300">
+        <FaExclamationTriangle className="text-8xl" />
+        <h1 className="font-black text-9xl uppercase tracking-wider">{emergency.title}</h1>
+        <FaExclamationTriangle className="text-8xl" />
+      </div>
+      <FitText
+        key={emergency.message}
+        sizes={MESSAGE_SIZES}
+        className="flex flex-1 min-h-0 items-center justify-center px-24 py-10 font-bold text-center whitespace-pre-line"
+      >
+        <p>{emergency.message}</p>
+      </FitText>
+      <p className="pb-8 text-3xl text-center text-white/80">Since {since}</p>
+      <div className="h-6 bg-yellow-400" />
+    </div>
+  );
+}
+
+export default EmergencyOverlay;
@@ -0,0 +1,39 @@
+/**
+ * FitText Component
+ *
+ * Shows text at the largest of a list of font sizes that fits inside its container, so a longer
+ * announcement shrinks instead of being cut off.
+ *
+ * Notes for Developers:
+ * - **Fitting:**
+ *   - Starts at the first size in `sizes` and steps down before paint while the content overflows.
+ *     The last size is used even if it still overflows.
+ * - **Resetting:**
+ *   - Give the component a `key` per item so the next one starts from the largest size again.
+ * - **Sizing:**
+ *   - The container needs a bounded height (e.g. `h-full` inside a `flex-1 min-h-0` parent).
+ */
+
+import React, { useState, useLayoutEffect, useRef } from 'react';
+
+const DEFAULT_SIZES = ['text-4xl', 'text-3xl', 'text-2xl', 'text-xl', 'text-lg'];
+
+function FitText({ children, className = '', sizes = DEFAULT_SIZES }) {
+  const containerRef = useRef(null);
+  const [sizeIndex, setSizeIndex] = useState(0);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (container.scrollHeight > container.clientHeight && sizeIndex < sizes.length - 1) {
+      setSizeIndex(sizeIndex + 1);
+    }
+  }, [sizeIndex, sizes]);
+
+  return (
+    <div ref={containerRef} className={`overflow-hidden ${sizes[sizeIndex]} ${className}`}>
+      {children}
+    </div>
+  );
+}
+
+export default FitText;
@@ -0,0 +1,58 @@
+/**
+ * Gallery Component
+ *
+ * Shows the images of a Styberg News gallery article (an article subfolder) as an inner slideshow
+ * that fits inside the article's time slot.
+ *
+ * Key Features:
+ * - **Image Rotation:**
+ *   - Splits `slotMs` evenly across the images so the last image is shown before the article advances;
+ *     the slot's reading time includes `readingTime.imageMs` per image, so each photo gets its own dwell time.
+ *   - Renders a single image without any timer.
+ * - **UI Elements:**
+ *   - Shows small dots under the image for the number of images in the gallery.
+ *
+ * Notes for Developers:
+ * - **Resetting:**
+ *   - Give the component a `key` per article so the slideshow starts from the first image on every article.
+ */
+
+import React, { useState, useEffect } from 'react';
+
+function Gallery({ images, alt, className, slotMs }) {
+  const [currentImageIndex, setCurrentImageIndex] = useState(0);
+
+  useEffect(() => {
+    if (images.length < 2 || !slotMs) return;
+
+    const imageInterval = setInterval(() => {
+      setCurrentImageIndex((prevIndex) =>
+        prevIndex === images.length - 1 ? 0 : prevIndex + 1
+      );
+    }, slotMs / images.length);
+
+    return () => clearInterval(imageInterval);
+  }, [images, slotMs]);
+
+  const image = images[currentImageIndex] || images[0];
+
+  return (
+    <>
+      <img src={image} alt={alt} className={className} />
+      {images.length > 1 && (
+        <div className="flex justify-center mt-2">
+          {images.map((_, index) => (
+            <div
+              key={index}
+              className={`w-2 h-2 mx-1 rounded-full ${
+                index === currentImageIndex ? 'bg-white' : 'bg-gray-500'
+              }`}
+            />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default Gallery;
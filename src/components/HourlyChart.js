@@ -0,0 +1,140 @@
+/**
+ * HourlyChart Component
+ *
+ * Chart of the coming hours from the One Call `hourly` array: precipitation chance as bars, with
+ * temperature, feels-like and wind as lines.
+ *
+ * Key Features:
+ * - **Configurable:**
+ *   - `hours` (8, 12 or 24) and `series` (`temperature`, `feelsLike`, `precipitation`, `wind`) come from
+ *     the config's `hourlyChart` section.
+ * - **Axes:**
+ *   - Temperatures share the left axis, precipitation uses 0-100% on the right, and wind has its own
+ *     hidden axis so a calm day doesn't flatten the temperature line.
+ *   - Hours are labeled in the location's time zone with the configured clock; the midnight tick shows
+ *     the new weekday instead, so a 24-hour chart reads correctly across days.
+ *
+ * Notes for Developers:
+ * - **Layout:**
+ *   - The title sits above the chart (`-top-10`), so whatever is rendered above needs bottom margin.
+ */
+
+import React from 'react';
+import {
+  Bar,
+  ComposedChart,
+  Legend,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { formatDateTime, getTemperatureUnit } from '../utils/formatting';
+
+const SERIES = {
+  precipitation: { dataKey: 'pop', name: 'Precipitation', color: '#4682B4', axis: 'pop' },
+  temperature: { dataKey: 'temp', name: 'Temperature', color: '#F59E0B', axis: 'temp' },
+  feelsLike: { dataKey: 'feelsLike', name: 'Feels Like', color: '#FCA5A5', axis: 'temp', dashed: true },
+  wind: { dataKey: 'wind', name: 'Wind', color: '#6EE7B7', axis: 'wind' },
+};
+
+function HourlyChart({ hourly, hours = 8, series = ['precipitation'], units, timeFormat, timeZone }) {
+  const data = hourly.slice(0, hours).map((hourData) => ({
+    dt: hourData.dt,
+    pop: Math.round((hourData.pop || 0) * 100),
+    temp: Math.round(hourData.temp),
+    feelsLike: Math.round(hourData.feels_like),
+    wind: Math.round(hourData.wind_speed),
+  }));
+
+  const shown = series.filter((name) => SERIES[name]);
+  const showsTemperature = shown.includes('temperature') || shown.includes('feelsLike');
+  const temperatureUnit = getTemperatureUnit(units);
+  const windUnit = units === 'imperial' ? 'mph' : 'm/s';
+
+  // Midnight in the location's time zone gets the weekday instead of the hour
+  const formatTick = (dt) => {
+    const date = new Date(dt * 1000);
+    const hour = formatDateTime(date, { locale: 'en-US', clock: '24h' }, { hour: 'numeric', timeZone });
+    return parseInt(hour, 10) === 0
+      ? formatDateTime(date, timeFormat, { weekday: 'short', timeZone })
+      : formatDateTime(date, timeFormat, { hour: 'numeric', timeZone });
+  };
+
+  const formatValue = (value, name) => {
+    if (name === SERIES.precipitation.name) return `${value}%`;
+    if (name === SERIES.wind.name) return `${value} ${windUnit}`;
+    return `${value}${temperatureUnit}`;
+  };
+
+  return (
+    <div className="relative -translate-x-2">
+      <h1 className="absolute -top-10 left-2 text-xl font-semibold text-end text-white/40">Next {hours} Hours</h1>
+      <div className='w-full h-[12vh] pr-5'>
+        <ResponsiveContainer width='100%' height='100%'>
+          <ComposedChart data={data}>
+            <XAxis
+              dataKey='dt'
+              tickFormatter={formatTick}
+              tick={{ fill: 'white' }}
+              interval='preserveStartEnd'
+              minTickGap={8}
+              className='text-sm'
+            />
+            <YAxis
+              yAxisId='temp'
+              hide={!showsTemperature}
+              domain={['dataMin - 2', 'dataMax + 2']}
+              allowDecimals={false}
+              tickFormatter={(value) => `${value}°`}
+              tick={{ fill: 'white' }}
+              tickCount={3}
+              className='text-sm'
+            />
+            <YAxis
+              yAxisId='pop'
+              orientation='right'
+              hide={!shown.includes('precipitation')}
+              domain={[0, 100]}
+              tickFormatter={(value) => `${value}%`}
+              tick={{ fill: 'white' }}
+              ticks={[50, 100]}
+              className='text-sm'
+            />
+            <YAxis yAxisId='wind' hide domain={[0, 'dataMax + 5']} />
+            <Tooltip
+              formatter={formatValue}
+              labelFormatter={formatTick}
+              labelStyle={{ color: 'Black' }}
+            />
+            {shown.length > 1 && (
+              <Legend verticalAlign='top' align='right' height={20} iconSize={10} wrapperStyle={{ fontSize: '0.75rem' }} />
+            )}
+            {shown.map((name) => {
+              const { dataKey, name: label, color, axis, dashed } = SERIES[name];
+              return name === 'precipitation' ? (
+                <Bar key={name} yAxisId={axis} dataKey={dataKey} name={label} fill={color} isAnimationActive={false} />
+              ) : (
+                <Line
+                  key={name}
+                  yAxisId={axis}
+                  dataKey={dataKey}
+                  name={label}
+                  stroke={color}
+                  strokeWidth={2}
+                  strokeDasharray={dashed ? '4 3' : undefined}
+                  dot={false}
+                  type='monotone'
+                  isAnimationActive={false}
+                />
+              );
+            })}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default HourlyChart;
@@ -0,0 +1,34 @@
+/**
+ * Progress Bars Component
+ *
+ * The row of indicators at the bottom of each carousel. The bar for the current item fills from
+ * left to right over the item's display time.
+ *
+ * Notes for Developers:
+ * - **Restarting:**
+ *   - `slotKey` must change whenever a new slot starts (even for the same item) so the fill animation restarts.
+ * - **Styling:**
+ *   - Uses the `animate-progress-fill` animation from `tailwind.config.js` with an inline duration.
+ */
+
+import React from 'react';
+
+function ProgressBars({ keys, currentIndex, durationMs, slotKey }) {
+  return (
+    <div className="absolute bottom-0 left-0 right-0 flex justify-start mb-4 ml-4">
+      {keys.map((key, index) => (
+        <div key={key} className="w-6 h-2 mr-1 rounded bg-gray-500 overflow-hidden">
+          {index === currentIndex && (
+            <div
+              key={slotKey}
+              className={`h-full bg-white ${durationMs ? 'animate-progress-fill' : 'w-full'}`}
+              style={durationMs ? { animationDuration: `${durationMs}ms` } : undefined}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProgressBars;
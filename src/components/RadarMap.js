@@ -0,0 +1,107 @@
+/**
+ * RadarMap Component
+ *
+ * Precipitation radar around the plant, drawn with react-leaflet: a base map with the recent
+ * OpenWeather precipitation frames played as a loop on top.
+ *
+ * Key Features:
+ * - **Tiles:**
+ *   - All tiles come from the main process over `styberg-media://tiles/...` (`tileProxy.js`), which adds
+ *     the API key and caches them, so a display that goes offline keeps its last base map and frames.
+ *   - If nothing can be fetched or cached, the dark map background stands in as a static base layer.
+ * - **Animation:**
+ *   - Shows `radar.frames` frames, `radar.frameStepMinutes` apart and ending at the current step, each for
+ *     `radar.frameMs`, holding the latest frame twice as long before looping.
+ *   - Frame times are rounded to the step so the cached tiles are reused between refreshes.
+ *   - Every frame is mounted up front (hidden) so the loop doesn't wait on tile loads.
+ *
+ * Notes for Developers:
+ * - **Interaction:**
+ *   - The map is display-only: no controls, dragging or zooming. It re-centers when `center` changes.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, CircleMarker, useMap } from 'react-leaflet';
+import { formatDateTime } from '../utils/formatting';
+
+const TILE_URL = 'styberg-media://tiles';
+const FRAME_OPACITY = 0.7;
+
+// MapContainer only reads its center on mount
+function Recenter({ latitude, longitude, zoom }) {
+  const map = useMap();
+  useEffect(() => {
+    map.setView([latitude, longitude], zoom);
+  }, [map, latitude, longitude, zoom]);
+  return null;
+}
+
+function getFrameTimes(frames, stepMinutes) {
+  const stepSeconds = stepMinutes * 60;
+  const latest = Math.floor(Date.now() / 1000 / stepSeconds) * stepSeconds;
+  return Array.from({ length: frames }, (_, index) => latest - (frames - 1 - index) * stepSeconds);
+}
+
+function RadarMap({ latitude, longitude, name, radar, timeFormat }) {
+  const [frameIndex, setFrameIndex] = useState(0);
+  const { layer, zoom, frames, frameStepMinutes, frameMs } = radar;
+  const frameTimes = getFrameTimes(frames, frameStepMinutes);
+  const latestFrame = frameTimes[frameTimes.length - 1];
+
+  // Advance through the frames, pausing on the latest one
+  useEffect(() => {
+    const isLatest = frameIndex >= frames - 1;
+    const frameTimer = setTimeout(() => {
+      setFrameIndex(isLatest ? 0 : frameIndex + 1);
+    }, isLatest ? frameMs * 2 : frameMs);
+    return () => clearTimeout(frameTimer);
+  }, [frameIndex, frames, frameMs]);
+
+  const currentFrame = frameTimes[Math.min(frameIndex, frames - 1)];
+  const center = [latitude, longitude];
+
+  return (
+    <div className="relative flex-1 min-h-0 rounded-lg overflow-hidden">
+      <MapContainer
+        center={center}
+        zoom={zoom}
+        zoomControl={false}
+        dragging={false}
+        scrollWheelZoom={false}
+        doubleClickZoom={false}
+        touchZoom={false}
+        keyboard={false}
+        className="h-full w-full bg-slate-800"
+      >
+        <Recenter latitude={latitude} longitude={longitude} zoom={zoom} />
+        <TileLayer
+          url={`${TILE_URL}/base/{z}/{x}/{y}`}
+          attribution='&copy; OpenStreetMap contributors, OpenWeather'
+        />
+        {frameTimes.map((time) => (
+          <TileLayer
+            key={`${layer}-${time}`}
+            url={`${TILE_URL}/${layer}/{z}/{x}/{y}?date=${time}`}
+            opacity={time === currentFrame ? FRAME_OPACITY : 0}
+          />
+        ))}
+        <CircleMarker
+          center={center}
+          radius={6}
+          pathOptions={{ color: 'white', weight: 2, fillColor: '#2563EB', fillOpacity: 1 }}
+        />
+      </MapContainer>
+
+      {/* Frame time */}
+      <div className="absolute top-2 left-2 z-[1000] px-3 py-1 rounded bg-black/60 text-sm">
+        <span className="font-semibold">{name} Radar</span>
+        <span className="text-white/70">
+          {' · '}{formatDateTime(new Date(currentFrame * 1000), timeFormat, { hour: 'numeric', minute: '2-digit' })}
+          {currentFrame === latestFrame && ' (latest)'}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default RadarMap;
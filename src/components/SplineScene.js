@@ -0,0 +1,89 @@
+/**
+ * SplineScene Component
+ *
+ * Renders one of the bundled Spline scenes, or the `fallback` when the scene can't be shown.
+ *
+ * Key Features:
+ * - **Bundled Scenes:**
+ *   - `name` is a scene from `scripts/fetch-scenes.js`; the file is loaded from the app over
+ *     `styberg-media://scenes/<name>.splinecode`, so the scenes work without internet access.
+ * - **Fallback:**
+ *   - Used when WebGL isn't available, when the Spline runtime throws, or when the scene hasn't
+ *     loaded within `LOAD_TIMEOUT_MS` (e.g. the file is missing from the build).
+ *   - An empty `name` renders the fallback straight away.
+ *
+ * Notes for Developers:
+ * - **Failures:**
+ *   - A failed scene stays on its fallback until `name` changes, so a broken scene isn't retried on
+ *     every render.
+ */
+
+import React, { Component, useState, useEffect } from 'react';
+import Spline from '@splinetool/react-spline';
+
+const SCENE_URL = 'styberg-media://scenes';
+const LOAD_TIMEOUT_MS = 20 * 1000;
+
+// Checked once; a display doesn't gain or lose WebGL while the app runs
+let webglSupported = null;
+
+function isWebglSupported() {
+  if (webglSupported === null) {
+    try {
+      const canvas = document.createElement('canvas');
+      webglSupported = Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch (error) {
+      webglSupported = false;
+    }
+  }
+  return webglSupported;
+}
+
+// The Spline runtime throws while rendering when it can't create its WebGL context
+class SceneErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    console.error('Error rendering Spline scene:', error);
+    this.props.onError();
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
+
+function SplineScene({ name, className = '', fallback = null }) {
+  const [status, setStatus] = useState('loading'); // 'loading' | 'loaded' | 'failed'
+
+  useEffect(() => {
+    setStatus('loading');
+    const loadTimer = setTimeout(() => {
+      setStatus((previous) => (previous === 'loading' ? 'failed' : previous));
+    }, LOAD_TIMEOUT_MS);
+    return () => clearTimeout(loadTimer);
+  }, [name]);
+
+  if (!name || status === 'failed' || !isWebglSupported()) {
+    return fallback;
+  }
+
+  return (
+    <SceneErrorBoundary key={name} onError={() => setStatus('failed')}>
+      <Spline
+        scene={`${SCENE_URL}/${name}.splinecode`}
+        className={className}
+        onLoad={() => setStatus('loaded')}
+      />
+    </SceneErrorBoundary>
+  );
+}
+
+export default SplineScene;
@@ -6,28 +6,40 @@
  * Key Features:
  * - **Data Fetching:**
  *   - Retrieves news articles from the main process via IPC (`window.electronAPI.getNewsArticles()`).
- *   - Refreshes articles every minute. (issue with watcher functionality on network drives)
+ *   - Reloads articles when the main process reports a change in the News folder (`onContentChanged`)
+ *     or when an article's publish window opens or closes.
  * - **Article Rotation:**
- *   - Automatically cycles through articles every 30 seconds.
+ *   - Automatically cycles through articles, showing each for its reading time (`getDisplayDuration`) or its
+ *     front-matter `duration`.
  *   - Allows manual navigation with previous and next buttons (visible in development mode).
  * - **Content Display:**
  *   - Dynamically handles articles that may contain images, text, or both.
+ *   - Article subfolders hold several images, shown as an inner slideshow (`Gallery`) within the article's slot.
+ *   - .mp4/.webm videos play muted in the image's place, streamed from disk via `styberg-media://`;
+ *     the carousel waits for the video to end, up to `intervals.videoMax`.
+ *   - Honors optional front matter in the .txt file: title, subtitle, author, priority (sorted in the
+ *     main process), duration in seconds, layout (`auto`, `split`, `split-reverse`, `image`, `text`) and imageCaption.
  *   - Sanitizes HTML content using `DOMPurify` and renders it safely with `html-react-parser`.
+ *   - Text that doesn't fit scrolls during the article's slot (`AutoScroll`), and the slot stretches to cover it.
+ *   - Article text can be .txt or .html (HTML as written) or .md (converted to HTML by the main process).
  * - **UI Elements:**
- *   - Shows navigation indicators at the bottom representing the number of articles.
+ *   - Shows navigation indicators at the bottom representing the number of articles; the current one fills
+ *     to show how much time is left.
  *   - Displays the company logo and "Styberg News" title in the header.
  *
  * Notes for Developers:
  * - **Environment Detection:**
  *   - Determines if the app is in development mode to conditionally render navigation arrows.
  * - **State Management:**
- *   - Manages articles, current article index, and development mode state with React's `useState`.
+ *   - Manages articles, the current article id, and development mode state with React's `useState`.
+ *   - Reloads are incremental: the main process returns added/updated/removed articles (stable ids, versioned
+ *     by mtime) and `mergeArticles` applies them, so the article on screen and its timer are left alone.
  * - **Effect Hooks:**
  *   - Uses `useEffect` for initial data fetching, article refreshing, and setting up the carousel interval.
  * - **Sanitization:**
  *   - Sanitizes HTML content to prevent XSS attacks.
  * - **Customization:**
- *   - Adjust rotation and refresh intervals (`carouselInterval` and `refreshInterval`) as needed.
+ *   - Reading-time bounds and the video maximum come from the config file (`useConfig`) and update live.
  */
 
 
@@ -36,10 +48,65 @@ import { FaArrowLeft, FaArrowRight } from 'react-icons/fa';
 import parse from 'html-react-parser';
 import DOMPurify from 'dompurify';
 import StybergLogo from '../images/styberg_logo_copy.jpg';
+import useConfig from '../hooks/useConfig';
+import Gallery from './Gallery';
+import ProgressBars from './ProgressBars';
+import AutoScroll from './AutoScroll';
+import { getDisplayDuration } from '../utils/readingTime';
+
+// Tags allowed in article bodies (.txt/.html as written, .md converted in the main process)
+const SANITIZE_OPTIONS = {
+  ALLOWED_TAGS: [
+    'b',
+    'i',
+    'em',
+    'strong',
+    'a',
+    'p',
+    'ul',
+    'ol',
+    'li',
+    'br',
+    'u',
+    'strike',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'hr',
+    'blockquote',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
+  ],
+  ALLOWED_ATTR: ['href', 'target', 'rel'],
+};
+
+// Apply a diff from the main process, keeping unchanged article objects (and so the carousel) as they are
+function mergeArticles(prevArticles, { added, updated, order }) {
+  const byId = new Map(prevArticles.map((article) => [article.id, article]));
+  [...added, ...updated].forEach((article) => byId.set(article.id, article));
+
+  const merged = order.map((id) => byId.get(id)).filter(Boolean);
+  const unchanged = merged.length === prevArticles.length
+    && merged.every((article, index) => article === prevArticles[index]);
+
+  return unchanged ? prevArticles : merged;
+}
 
 function StybergNews() {
+  const config = useConfig();
   const [articles, setArticles] = useState([]);
-  const [currentArticleIndex, setCurrentArticleIndex] = useState(0);
+  const [currentArticleId, setCurrentArticleId] = useState(null);
+  // Bumped on every advance so the timer re-arms even when the same article comes around again
+  const [slotNumber, setSlotNumber] = useState(0);
+  const [videoDuration, setVideoDuration] = useState(null);
+  const [scrollDuration, setScrollDuration] = useState(null);
+  const articlesRef = useRef(articles);
+  const lastIndexRef = useRef(0);
   const carouselInterval = useRef(null);
   const [isDev, setIsDev] = useState(null);
 
@@ -56,10 +123,17 @@ function StybergNews() {
     fetchEnvironment();
   }, []);
   
+  articlesRef.current = articles;
+
   const fetchArticles = async () => {
       try {
-        const data = await window.electronAPI.getNewsArticles();
-        setArticles(data);
+        const known = Object.fromEntries(
+          articlesRef.current.map((article) => [article.id, article.version])
+        );
+        const diff = await window.electronAPI.getNewsArticles(known);
+        if (diff.order) {
+          setArticles((prevArticles) => mergeArticles(prevArticles, diff));
+        }
       } catch (error) {
         console.error('Error fetching news articles:', error);
       }
@@ -67,46 +141,161 @@ function StybergNews() {
 
   useEffect(() => {
     fetchArticles();
-    const refreshInterval = setInterval(() => {
-      fetchArticles();
-    }, 60000);
-
-    return () => { clearInterval(refreshInterval); }
+    return window.electronAPI.onContentChanged(({ source }) => {
+      if (source === 'news') fetchArticles();
+    });
   }, []);
 
-  // Carousel functionality
+  // The article on screen is tracked by id so reloads don't move it. If it was removed,
+  // the article that took its place in the list is shown instead.
+  const foundIndex = articles.findIndex((article) => article.id === currentArticleId);
+  const currentArticleIndex = foundIndex !== -1
+    ? foundIndex
+    : Math.max(0, Math.min(lastIndexRef.current, articles.length - 1));
+
   useEffect(() => {
-    if (articles.length > 0) {
-      carouselInterval.current = setInterval(() => {
-        setCurrentArticleIndex((prevIndex) =>
-          prevIndex === articles.length - 1 ? 0 : prevIndex + 1
-        );
-      }, 30000);
+    lastIndexRef.current = currentArticleIndex;
+    if (articles.length > 0 && foundIndex === -1) {
+      setCurrentArticleId(articles[currentArticleIndex].id);
+      setSlotNumber((prevSlot) => prevSlot + 1);
     }
+  }, [articles, foundIndex, currentArticleIndex]);
 
-    return () => clearInterval(carouselInterval.current);
-  }, [articles]);
+  const showArticle = (step) => {
+    const list = articlesRef.current;
+    if (list.length === 0) return;
 
-  // Navigation handlers
-  const handlePrevArticle = () => {
-    setCurrentArticleIndex((prevIndex) =>
-      prevIndex === 0 ? articles.length - 1 : prevIndex - 1
-    );
+    setCurrentArticleId((prevId) => {
+      const index = Math.max(0, list.findIndex((article) => article.id === prevId));
+      return list[(index + step + list.length) % list.length].id;
+    });
+    setSlotNumber((prevSlot) => prevSlot + 1);
   };
 
-  const handleNextArticle = () => {
-    setCurrentArticleIndex((prevIndex) =>
-      prevIndex === articles.length - 1 ? 0 : prevIndex + 1
-    );
+  // Carousel functionality; each article stays up for its reading time unless its front matter sets a duration.
+  // Video articles advance when the video ends (onEnded); the timer is only a videoMax safety cap for
+  // clips that stall or never end.
+  const slotArticle = articles[currentArticleIndex];
+  const hasArticles = articles.length > 0;
+  let slotMs = null;
+  let progressMs = null;
+
+  if (slotArticle && config) {
+    const videoMs = videoDuration?.id === slotArticle.id ? videoDuration.ms : undefined;
+
+    // A video without a usable duration, or one that failed to play, gets the reading time instead
+    if (slotArticle.videoUrl && !slotArticle.duration && videoMs !== null) {
+      slotMs = config.intervals.videoMax;
+      progressMs = videoMs ? Math.min(videoMs, slotMs) : null;
+    } else {
+      slotMs = getDisplayDuration(
+        slotArticle.description,
+        {
+          imageCount: slotArticle.videoUrl ? 1 : slotArticle.images?.length || 0,
+          durationSeconds: slotArticle.duration,
+        },
+        config.readingTime
+      );
+    }
+
+    // Long text stretches the slot until it has scrolled to the bottom
+    if (scrollDuration?.id === slotArticle.id) {
+      slotMs = Math.max(slotMs, scrollDuration.ms);
+    }
+  }
+  progressMs = progressMs || slotMs;
+
+  useEffect(() => {
+    if (hasArticles && slotMs) {
+      carouselInterval.current = setTimeout(() => showArticle(1), slotMs);
+    }
+
+    return () => clearTimeout(carouselInterval.current);
+  }, [currentArticleId, slotNumber, slotMs, hasArticles]);
+
+  // Navigation handlers
+  const handlePrevArticle = () => showArticle(-1);
+
+  const handleNextArticle = () => showArticle(1);
+
+  // The video ended on its own; drop the safety cap so the article only advances once
+  const handleVideoEnded = () => {
+    clearTimeout(carouselInterval.current);
+    showArticle(1);
   };
 
-  // Determine what to render based on the presence of imagePath and description
+  // Determine what to render based on the front-matter layout and the presence of media and description
   const currentArticle = articles[currentArticleIndex];
-  const hasImage = currentArticle?.imagePath;
+  const hasImage = currentArticle?.imagePath || currentArticle?.videoUrl;
   const hasText = currentArticle?.description;
 
+  let layout = currentArticle?.layout;
+  if (layout === 'image' && !hasImage) layout = 'auto';
+  if ((layout === 'split' || layout === 'split-reverse') && !(hasImage && hasText)) layout = 'auto';
+  if (layout === 'auto' || !layout) {
+    layout = hasImage && hasText ? 'split' : hasImage ? 'image' : 'text';
+  }
+
+  // Video streamed over styberg-media://, otherwise the article's image(s)
+  const renderMedia = (className) => (
+    currentArticle.videoUrl ? (
+      <video
+        key={currentArticle.videoUrl}
+        src={currentArticle.videoUrl}
+        className={className}
+        autoPlay
+        muted
+        playsInline
+        loop={articles.length === 1}
+        onLoadedMetadata={(event) => {
+          // Streams and some .webm files report NaN or Infinity
+          const seconds = event.target.duration;
+          setVideoDuration({ id: currentArticle.id, ms: Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null });
+        }}
+        onEnded={handleVideoEnded}
+        onError={() => {
+          console.error('Error playing News video:', currentArticle.videoUrl);
+          // A lone article can't move on; it falls back to the reading time instead of videoMax
+          setVideoDuration({ id: currentArticle.id, ms: null });
+          handleVideoEnded();
+        }}
+      />
+    ) : (
+      <Gallery
+        key={currentArticle.id}
+        images={currentArticle.images}
+        alt={currentArticle.imageCaption || currentArticle.title}
+        className={className}
+        slotMs={slotMs}
+      />
+    )
+  );
+
+  // Article body, scrolled when it doesn't fit; remounted every slot so it starts at the top again
+  // when the same article comes around (e.g. when it is the only one)
+  const renderText = (className, proseClassName) => (
+    <AutoScroll
+      key={`${currentArticle.id}-${slotNumber}`}
+      className={className}
+      pixelsPerSecond={config?.autoScroll.pixelsPerSecond}
+      pauseTopMs={config?.autoScroll.pauseTopMs}
+      pauseBottomMs={config?.autoScroll.pauseBottomMs}
+      onDurationChange={(ms) => setScrollDuration({ id: currentArticle.id, ms })}
+    >
+      <div className={`prose prose-invert break-words article-content text-xl ${proseClassName}`}>
+        {parse(
+          DOMPurify.sanitize(currentArticle.description, SANITIZE_OPTIONS)
+        )}
+      </div>
+    </AutoScroll>
+  );
+
+  const byline = currentArticle && [currentArticle.subtitle, currentArticle.author && `By ${currentArticle.author}`]
+    .filter(Boolean)
+    .join(' · ');
+
   return (
-    <div className="relative h-[59vh] w-2/3 backdrop-blur-3xl shadow-lg overflow-hidden pr-3">
+    <div className="relative flex flex-col h-[59vh] w-2/3 backdrop-blur-3xl shadow-lg overflow-hidden pr-3">
       {/* Heading */}
       <div className="flex pl-2 bg-white/20 bg-blur backdrop-blur-3xl mb-2">
         <img src={StybergLogo} alt="Styberg Logo" className="h-[5vh] w-[3vw] p-2" />
@@ -135,116 +324,62 @@ function StybergNews() {
 
       {/* Article Display */}
       {articles.length > 0 ? (
-        <div className="flex h-[100%] mt-2 bg-white/5">
-          {hasImage && hasText ? (
+        <div className="flex flex-1 min-h-0 mt-2 pb-10 bg-white/5">
+          {layout === 'split' || layout === 'split-reverse' ? (
             // Both Image and Text
-            <div className='flex flex-col w-full'>
+            <div className='flex flex-col w-full min-h-0'>
               <h1 className='font-bold text-6xl italic text-center mt-5'>{currentArticle.title}</h1>
+              {byline && <p className='text-2xl text-white/60 text-center mt-2'>{byline}</p>}
               <hr className='w-[75%] self-center border border-white/30 my-5'/>
-              <div className='flex mt-5'>
+              <div className={`flex flex-1 min-h-0 mt-5 ${layout === 'split-reverse' ? 'flex-row-reverse' : ''}`}>
               
                 {/* Image Side */}
-                <div className="w-1/2 flex justify-center items-center rounded-xl">
-                  <img
-                    src={currentArticle.imagePath}
-                    alt={currentArticle.title}
-                    className="max-h-[40vh] max-w-[90%] rounded-xl object-contain"
-                  />
+                <div className="w-1/2 flex flex-col justify-center items-center rounded-xl">
+                  {renderMedia('max-h-[40vh] max-w-[90%] rounded-xl object-contain')}
+                  {currentArticle.imageCaption && (
+                    <p className='text-lg italic text-white/60 mt-2'>{currentArticle.imageCaption}</p>
+                  )}
                 </div>
 
                 {/* Text Side */}
-                <div className="w-1/2 p-5">
-                  <div className="prose prose-invert break-words overflow-y-auto article-content text-xl">
-                    {parse(
-                      DOMPurify.sanitize(currentArticle.description, {
-                        ALLOWED_TAGS: [
-                          'b',
-                          'i',
-                          'em',
-                          'strong',
-                          'a',
-                          'p',
-                          'ul',
-                          'ol',
-                          'li',
-                          'br',
-                          'u',
-                          'strike',
-                          'h1',
-                          'h2',
-                          'h3',
-                          'h4',
-                          'hr',
-                        ],
-                        ALLOWED_ATTR: ['href', 'target', 'rel'],
-                      })
-                    )}
-                  </div>
+                <div className="w-1/2 p-5 flex flex-col min-h-0">
+                  {renderText('flex-1 min-h-0', '')}
                 </div>
               </div>
             </div>
-          ) : hasImage ? (
+          ) : layout === 'image' ? (
             // Only Image
             <div className="w-full max-h-[52vh] flex flex-col items-center justify-center">
-              <img
-                src={currentArticle.imagePath}
-                alt={currentArticle.title}
-                className="max-h-[100%] max-w-[100%] rounded-xl object-contain"
-              />
+              {renderMedia('max-h-[100%] max-w-[100%] rounded-xl object-contain')}
+              {currentArticle.imageCaption && (
+                <p className='text-lg italic text-white/60 mt-2'>{currentArticle.imageCaption}</p>
+              )}
             </div>
           ) : (
             // Only Text
-            <div className="w-full p-4 flex flex-col">
+            <div className="w-full p-4 flex flex-col min-h-0">
               <h1 className="font-bold text-7xl italic text-center mt-2">
                 {currentArticle.title}
               </h1>
+              {byline && <p className='text-2xl text-white/60 text-center mt-2'>{byline}</p>}
               <hr className='w-[75%] self-center border border-white/30 mt-5'/>
-              <div className="prose prose-invert break-words overflow-hidden article-content text-xl text-left p-4 translate-x-36">
-                {parse(
-                  DOMPurify.sanitize(currentArticle.description, {
-                    ALLOWED_TAGS: [
-                      'b',
-                      'i',
-                      'em',
-                      'strong',
-                      'a',
-                      'p',
-                      'ul',
-                      'ol',
-                      'li',
-                      'br',
-                      'u',
-                      'strike',
-                      'h1',
-                      'h2',
-                      'h3',
-                      'h4',
-                      'hr',
-                    ],
-                    ALLOWED_ATTR: ['href', 'target', 'rel'],
-                  })
-                )}
-              </div>
+              {renderText('flex-1 min-h-0', 'text-left p-4 translate-x-36')}
             </div>
           )}
         </div>
       ) : (
-        <div className="h-full flex items-center justify-center bg-white/5">
+        <div className="flex-1 flex items-center justify-center bg-white/5">
           <p className="text-gray-500">No news today. Have a great day :)</p>
         </div>
       )}
 
       {/* Navigation Bars */}
-      <div className="absolute bottom-0 left-0 right-0 flex justify-start mb-4 ml-4">
-        {articles.map((_, index) => (
-          <div
-            key={index}
-            className={`w-6 h-2 mr-1 rounded ${
-              index === currentArticleIndex ? 'bg-white' : 'bg-gray-500'
-            }`}
-          ></div>
-        ))}
-      </div>
+      <ProgressBars
+        keys={articles.map((article) => article.id)}
+        currentIndex={currentArticleIndex}
+        durationMs={progressMs}
+        slotKey={slotNumber}
+      />
     </div>
   );
 }
@@ -0,0 +1,72 @@
+/**
+ * Ticker Component
+ *
+ * Scrolls a single line of text from right to left across its container, for announcements too
+ * long to fit on the card.
+ *
+ * Key Features:
+ * - **Measurement:**
+ *   - Measures the container and text widths, and re-measures with a `ResizeObserver`.
+ * - **Scrolling:**
+ *   - Uses the `animate-ticker` animation from `tailwind.config.js`; the start and end offsets are passed
+ *     in as the `--ticker-from` / `--ticker-to` CSS variables and the pass repeats until the slot ends.
+ * - **Timing:**
+ *   - Reports how long one pass takes through `onDurationChange` so the carousel can end the slot
+ *     between passes.
+ *
+ * Notes for Developers:
+ * - **Resetting:**
+ *   - Give the component a `key` per slot so every slot starts with the text entering from the right.
+ */
+
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+function Ticker({ text, className = '', pixelsPerSecond, onDurationChange }) {
+  const containerRef = useRef(null);
+  const textRef = useRef(null);
+  const [widths, setWidths] = useState(null);
+  // Parents pass a new callback on every render; only a change in duration should report
+  const onDurationChangeRef = useRef(onDurationChange);
+  onDurationChangeRef.current = onDurationChange;
+
+  useLayoutEffect(() => {
+    const measure = () => {
+      if (!containerRef.current || !textRef.current) return;
+      setWidths({
+        container: containerRef.current.clientWidth,
+        text: textRef.current.scrollWidth,
+      });
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [text]);
+
+  const passMs = widths && pixelsPerSecond
+    ? Math.round(((widths.container + widths.text) / pixelsPerSecond) * 1000)
+    : 0;
+
+  useEffect(() => {
+    if (onDurationChangeRef.current && passMs) onDurationChangeRef.current(passMs);
+  }, [passMs]);
+
+  return (
+    <div ref={containerRef} className={`overflow-hidden ${className}`}>
+      <div
+        ref={textRef}
+        className={`inline-block whitespace-nowrap ${passMs ? 'animate-ticker' : 'invisible'}`}
+        style={passMs ? {
+          '--ticker-from': `${widths.container}px`,
+          '--ticker-to': `-${widths.text}px`,
+          animationDuration: `${passMs}ms`,
+        } : undefined}
+      >
+        {text.replace(/\s+/g, ' ')}
+      </div>
+    </div>
+  );
+}
+
+export default Ticker;
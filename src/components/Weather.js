@@ -1,8 +1,8 @@
 /**
  * Weather Component
  *
- * Displays current weather conditions, an 8-hour precipitation forecast chart,
- * and a 4-day weather forecast with corresponding icons and temperatures.
+ * Displays current weather conditions, an hourly temperature/precipitation/wind chart,
+ * and a 4- or 7-day weather forecast with corresponding icons and temperatures.
  *
  * Key Features:
  * - **Data Fetching:**
@@ -10,10 +10,30 @@
  *   - In development mode, uses customizable mock data to facilitate testing without API calls.
  * - **3D Weather Scenes:**
  *   - Integrates Spline to render dynamic 3D scenes based on weather conditions and time of day.
- * - **Precipitation Chart:**
- *   - Uses Recharts to display the chance of precipitation over the next 8 hours.
+ *   - The scenes are bundled with the app (`SplineScene`); animated icon art (`WeatherArt`) stands in when
+ *     WebGL fails or the config's `lowPower` setting is on.
+ * - **Hourly Chart:**
+ *   - Uses Recharts (`HourlyChart`) to plot the next 8, 12 or 24 hours; the horizon and series (temperature,
+ *     feels like, precipitation, wind) come from the config's `hourlyChart` section.
  * - **Forecast Display:**
- *   - Shows weather conditions for the next four days with icons and temperature ranges.
+ *   - Shows weather conditions for the next `forecastDays` (4 or 7) days with icons and temperature ranges;
+ *     the 7-day strip also shows each day's chance of precipitation and rain/snow total.
+ *   - Built from the One Call `daily` array, so the forecast costs no API call of its own.
+ * - **Multiple Locations:**
+ *   - The plant (`location`) and any `otherLocations` from the config file rotate every `intervals.locationRotate` ms,
+ *     with the location's name above the conditions.
+ *   - The main process fetches all locations in one IPC call and caches each; other locations are only refreshed
+ *     every `intervals.otherLocationsRefresh` ms to stay within the OpenWeather daily limit.
+ * - **Current Details:**
+ *   - A row under the current conditions shows the config's `weatherDetails` (wind, humidity, UV, visibility,
+ *     dew point, sunrise/sunset, air quality) through `WeatherDetails`; air quality is fetched only when listed.
+ * - **Radar Map:**
+ *   - A react-leaflet precipitation radar around the plant (`RadarMap`) either joins the location rotation
+ *     (`radar.mode: 'rotate'`) or replaces the conditions view while it is raining or snowing at the plant
+ *     (`radar.mode: 'precipitation'`).
+ * - **Severe Weather Alerts:**
+ *   - Active One Call `alerts` (tornado, blizzard, heat, ...) are shown in a banner at the top of the panel
+ *     (`WeatherAlerts`), which clears expired alerts on its own.
  *
  * Notes:
  * - **Mock Data Usage:**
@@ -21,18 +41,30 @@
  *   - Adjust `devMainWeather` to simulate different weather conditions during development.
  * - **Weather Condition Mapping:**
  *   - `weatherIconMapping` links weather conditions to icons from `react-icons`.
- *   - `splineScenes` maps weather condition codes to Spline scene URLs.
+ *   - The scene and background gradient come from `utils/weatherThemes.json` by condition group and time of
+ *     day (dawn, day, dusk, night), see `utils/weatherTheme.js`.
+ *   - Set `previewThemes` to cycle through every group and time of day in development, one every
+ *     `THEME_PREVIEW_MS`, with the combination shown in the corner.
+ * - **Units and Clock:**
+ *   - Temperatures are labeled for the configured `units` and all dates and times are formatted with
+ *     `Intl.DateTimeFormat` for the configured `locale` and `clock` (12h/24h), see `utils/formatting.js`.
  * - **Time-Based Rendering:**
- *   - Calculates sunrise and sunset to determine if it's day or night for scene selection.
+ *   - Uses sunrise and sunset to tell dawn, day, dusk and night apart for the scene and background.
  * - **Data Processing:**
- *   - `processForecastData` organizes raw forecast data for display.
+ *   - `getDailyForecast` takes the days from the One Call `daily` array, starting today in the location's
+ *     time zone (`timezone`), so late-evening hours aren't counted toward the next day.
+ * - **Offline Handling:**
+ *   - The main process serves its last-known-good cache when the API is unreachable; a small
+ *     "last updated" indicator turns yellow instead of replacing the panel with an error.
+ * - **Refresh Interval:**
+ *   - Weather refreshes every `intervals.weatherRefresh` ms from the config file (`useConfig`).
  * - ** API Limits **
  *   - One Call API allows for 1,000 calls per day.
+ *   - The main process paces calls against `quota.openWeatherDaily` and serves cached data once it is used up.
  */
 
 import React, { useState, useEffect } from 'react';
 import 'leaflet/dist/leaflet.css';
-import Spline from '@splinetool/react-spline';
 import {
   WiDaySunny,
   WiCloudy,
@@ -41,21 +73,65 @@ import {
   WiThunderstorm,
   WiFog,
 } from 'react-icons/wi';
+import useConfig from '../hooks/useConfig';
+import WeatherAlerts from './WeatherAlerts';
+import WeatherDetails from './WeatherDetails';
+import HourlyChart from './HourlyChart';
+import RadarMap from './RadarMap';
+import SplineScene from './SplineScene';
+import WeatherArt from './WeatherArt';
 import {
-  Area,
-  AreaChart,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-} from 'recharts';
+  getTimeFormat,
+  formatDateTime,
+  formatDateTimeParts,
+  formatTemperature,
+  formatPrecipitation,
+} from '../utils/formatting';
+import { getConditionGroup, getDayPhase, getWeatherTheme, THEME_PREVIEWS } from '../utils/weatherTheme';
+
+const THEME_PREVIEW_MS = 5 * 1000;
+
+// Thunderstorm, drizzle, rain and snow condition codes (2xx-6xx)
+function isPrecipitating(weather) {
+  const id = weather?.current?.weather?.[0]?.id;
+  return id >= 200 && id < 700;
+}
+
+// YYYY-MM-DD in the location's time zone
+function getLocalDate(date, timeZone) {
+  return formatDateTime(date, { locale: 'en-CA' }, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone });
+}
+
+// One Call `daily` entries from today in the location's time zone; cached data from an earlier day
+// still starts at today
+function getDailyForecast(daily = [], timeZone, days) {
+  const today = getLocalDate(new Date(), timeZone);
+
+  return daily
+    .filter((day) => getLocalDate(new Date(day.dt * 1000), timeZone) >= today)
+    .slice(0, days)
+    .map((day) => ({
+      dt: day.dt,
+      temp_min: day.temp.min,
+      temp_max: day.temp.max,
+      condition: day.weather?.[0]?.main,
+      pop: day.pop || 0,
+      precipitation: (day.rain || 0) + (day.snow || 0),
+    }));
+}
 
 function Weather() {
-  const [weather, setWeather] = useState(null);
-  const [forecast, setForecast] = useState([]);
+  const config = useConfig();
+  // A dependency of the refresh effect, so turning it on in the config fetches air quality straight away
+  const showAirQuality = Boolean(config?.weatherDetails.includes('airQuality'));
+  // One entry per location: { location, weather, airQuality, freshness }
+  const [locations, setLocations] = useState([]);
+  const [locationIndex, setLocationIndex] = useState(0);
   const [error, setError] = useState(null);
   const [isDev, setIsDev] = useState(null);
   const useMockData = true;
+  const previewThemes = false;
+  const [previewIndex, setPreviewIndex] = useState(0);
 
   const fetchEnvironment = async () => {
     try {
@@ -86,201 +162,195 @@ function Weather() {
           ],
           sunrise: Math.floor(Date.now() / 1000) - 3600 * 2,
           sunset: Math.floor(Date.now() / 1000) + 3600 * 6, 
+          wind_speed: 14,
+          wind_gust: 27,
+          wind_deg: 225,
+          humidity: 68,
+          uvi: 6.4,
+          visibility: 9000,
+          dew_point: 63,
         },
-        hourly: [
-
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 0,
-            pop: 0.1, 
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 1,
-            pop: 0.2, 
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 2,
-            pop: 0.8,
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 3,
-            pop: 0.9,
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 4,
-            pop: 0.7,
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 5,
-            pop: 0.5,
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 6,
-            pop: 0.0,
-          },
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 7,
-            pop: 0.0,
-          },
-        ],
+        timezone: 'America/Chicago',
+        // 48 hours, like the API: a warm afternoon cooling overnight, with rain in the next few hours
+        hourly: Array.from({ length: 48 }, (_, hour) => ({
+          dt: Math.floor(Date.now() / 1000) + 3600 * hour,
+          temp: 72 + Math.round(8 * Math.cos((hour / 24) * 2 * Math.PI)),
+          feels_like: 74 + Math.round(9 * Math.cos((hour / 24) * 2 * Math.PI)),
+          wind_speed: 8 + (hour % 6),
+          pop: [0.1, 0.2, 0.8, 0.9, 0.7, 0.5][hour] || 0,
+        })),
+        // 8 days from today like the API, each stamped at local noon; rain totals are millimeters
         daily: [
+          { main: 'Thunderstorm', min: 65, max: 80, pop: 0.9, rain: 18.4 },
+          { main: 'Clear', min: 63, max: 78, pop: 0, rain: 0 },
+          { main: 'Clouds', min: 61, max: 75, pop: 0.2, rain: 0 },
+          { main: 'Rain', min: 58, max: 70, pop: 0.8, rain: 7.1 },
+          { main: 'Clear', min: 62, max: 80, pop: 0, rain: 0 },
+          { main: 'Drizzle', min: 60, max: 71, pop: 0.5, rain: 1.2 },
+          { main: 'Clouds', min: 59, max: 73, pop: 0.1, rain: 0 },
+          { main: 'Clear', min: 61, max: 77, pop: 0, rain: 0 },
+        ].map(({ main, min, max, pop, rain }, day) => ({
+          dt: Math.floor(Date.now() / 1000) + 3600 * 24 * day,
+          temp: { min, max },
+          weather: [{ main }],
+          pop,
+          ...(rain > 0 && { rain }),
+        })),
+        alerts: [
           {
-            temp: {
-              min: 65,
-              max: 80,
-            },
+            sender_name: 'NWS Milwaukee/Sullivan WI',
+            event: 'Severe Thunderstorm Warning',
+            start: Math.floor(Date.now() / 1000) - 60 * 10,
+            end: Math.floor(Date.now() / 1000) + 60 * 2,
+            description: 'At 3:05 PM CDT, a severe thunderstorm was located near Racine, moving east at 30 mph.',
+            tags: ['Thunderstorm', 'Wind'],
           },
-        ],
-      };
-      const mockForecastData = {
-        list: [
-          // Each item represents a 3-hour forecast
-          // Day 1 - Sunny
           {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 24 * 1,
-            main: {
-              temp: 78,
-            },
-            weather: [
-              {
-                main: 'Clear',
-              },
-            ],
+            sender_name: 'NWS Milwaukee/Sullivan WI',
+            event: 'Heat Advisory',
+            start: Math.floor(Date.now() / 1000) + 3600 * 1,
+            end: Math.floor(Date.now() / 1000) + 3600 * 8,
+            description: 'Heat index values up to 105 expected.',
+            tags: ['Extreme temperature value'],
           },
-          // Day 2 - Cloudy
           {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 24 * 2,
-            main: {
-              temp: 75,
-            },
-            weather: [
-              {
-                main: 'Clouds',
-              },
-            ],
-          },
-          // Day 3 - Rainy
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 24 * 3,
-            main: {
-              temp: 70,
-            },
-            weather: [
-              {
-                main: 'Rain',
-              },
-            ],
-          },
-          // Day 4 - Sunny
-          {
-            dt: Math.floor(Date.now() / 1000) + 3600 * 24 * 4,
-            main: {
-              temp: 80,
-            },
-            weather: [
-              {
-                main: 'Clear',
-              },
-            ],
+            // Already expired; should never be shown
+            sender_name: 'NWS Milwaukee/Sullivan WI',
+            event: 'Dense Fog Advisory',
+            start: Math.floor(Date.now() / 1000) - 3600 * 6,
+            end: Math.floor(Date.now() / 1000) - 3600 * 1,
+            description: 'Visibility one quarter mile or less.',
+            tags: ['Fog'],
           },
         ],
       };
-      const dailyForecast = processForecastData(mockForecastData);
+      // A second, cooler site so the location rotation can be seen
+      const mockOtherWeatherData = {
+        ...mockWeatherData,
+        current: {
+          ...mockWeatherData.current,
+          temp: 58,
+          feels_like: 55,
+          weather: [{ id: 804, main: 'Clouds', description: 'overcast clouds', icon: '04d' }],
+        },
+        daily: mockWeatherData.daily.map((day) => ({
+          ...day,
+          temp: { min: day.temp.min - 16, max: day.temp.max - 19 },
+        })),
+        alerts: [],
+      };
+
+      // aqi: 1 Good ... 5 Very Poor
+      const mockAirQualityData = { list: [{ main: { aqi: 2 } }] };
 
-      setWeather(mockWeatherData);
-      setForecast(dailyForecast);
+      setLocations([
+        { location: { name: 'Racine', latitude: 42.74908, longitude: -87.80067, primary: true }, weather: mockWeatherData, airQuality: mockAirQualityData, freshness: null },
+        { location: { name: 'Customer Site', latitude: 41.87811, longitude: -87.6298, primary: false }, weather: mockOtherWeatherData, airQuality: null, freshness: null },
+      ]);
       console.log('mock weather data used');
     } else {
       console.log('using API weather data');
       try {
+        // One result per configured location, in the same order for every call; the One Call
+        // response carries the daily forecast as well
         const currentWeather = await window.electronAPI.fetchWeather();
-        setWeather(currentWeather);
 
-        const forecastWeather = await window.electronAPI.fetchForecast();
-        const dailyForecast = processForecastData(forecastWeather);
-        setForecast(dailyForecast);
+        // Optional; the rest of the panel doesn't depend on it
+        let airQuality = [];
+        if (showAirQuality) {
+          try {
+            airQuality = await window.electronAPI.fetchAirQuality();
+          } catch (error) {
+            console.error('Error fetching air quality', error);
+          }
+        }
+
+        const results = currentWeather
+          .map((current, index) => {
+            if (!current.data) return null;
+
+            return {
+              location: current.location,
+              weather: current.data,
+              airQuality: airQuality[index]?.data || null,
+              // Served from the main process cache when the live call failed
+              freshness: {
+                fetchedAt: current.fetchedAt,
+                stale: current.stale,
+              },
+            };
+          })
+          .filter(Boolean);
 
+        if (results.length === 0) throw new Error('No weather data for any location');
+        setLocations(results);
+        setError(null);
       } catch (error) {
         console.error('Error fetching the weather data', error);
         setError('Failed to fetch weather data');
+        setLocations((prev) => prev.map((entry) => ({
+          ...entry,
+          freshness: entry.freshness && { ...entry.freshness, stale: true },
+        })));
       }
     }
   }
 
+  const refreshMs = config?.intervals.weatherRefresh;
+
   useEffect(() => {
-    if (isDev !== null) {
+    if (isDev !== null && refreshMs) {
       fetchWeather();
 
       const weatherUpdateInterval = setInterval(() => {
         fetchWeather();
-      }, 60 * 1000 * 10);
+      }, refreshMs);
 
       return () => clearInterval(weatherUpdateInterval);
     }
-  }, [isDev]);
+  }, [isDev, refreshMs, showAirQuality]);
 
-  // Process forecast data
-  const processForecastData = (data) => {
-    const groupedData = {};
+  // Rotate through the locations, and the radar map when it is part of the rotation
+  const rotateMs = config?.intervals.locationRotate;
+  const radar = config?.radar;
+  const stepCount = locations.length + (radar?.mode === 'rotate' && locations.length > 0 ? 1 : 0);
 
-    data.list.forEach((item) => {
-      const date = new Date(item.dt * 1000);
-      const dateString = date.toISOString().split('T')[0];
-      if (!groupedData[dateString]) {
-        groupedData[dateString] = [];
-      }
-      groupedData[dateString].push(item);
-    });
-
-    // Get forecast data for the next 4 days
-    const todayDateString = new Date().toISOString().split('T')[0];
-    const dates = Object.keys(groupedData)
-      .filter((date) => date >= todayDateString)
-      .sort();
-
-    const dailyData = dates.slice(0, 4).map((date) => {
-      const dayData = groupedData[date];
-
-      // Initialize min and max temperatures
-      let minTemp = Infinity;
-      let maxTemp = -Infinity;
-      const conditionCounts = {};
-
-      dayData.forEach((item) => {
-        const temp = item.main.temp;
-        if (temp < minTemp) minTemp = temp;
-        if (temp > maxTemp) maxTemp = temp;
-
-        const condition = item.weather[0].main;
-        if (conditionCounts[condition]) {
-          conditionCounts[condition]++;
-        } else {
-          conditionCounts[condition] = 1;
-        }
-      });
-
-      // Determine the most common weather condition
-      let mostCommonCondition = null;
-      let maxCount = 0;
-      for (const condition in conditionCounts) {
-        if (conditionCounts[condition] > maxCount) {
-          maxCount = conditionCounts[condition];
-          mostCommonCondition = condition;
-        }
-      }
+  useEffect(() => {
+    if (stepCount > 1 && rotateMs) {
+      const locationRotateInterval = setInterval(() => {
+        setLocationIndex((prevIndex) => prevIndex + 1);
+      }, rotateMs);
 
-      return {
-        date: date,
-        temp_min: minTemp,
-        temp_max: maxTemp,
-        condition: mostCommonCondition,
-      };
-    });
+      return () => clearInterval(locationRotateInterval);
+    }
+  }, [stepCount, rotateMs]);
 
-    return dailyData;
-  };
+  // Dev preview of every scene theme
+  useEffect(() => {
+    if (isDev && previewThemes) {
+      const previewInterval = setInterval(() => {
+        setPreviewIndex((prevIndex) => prevIndex + 1);
+      }, THEME_PREVIEW_MS);
+
+      return () => clearInterval(previewInterval);
+    }
+  }, [isDev, previewThemes]);
+
+  // The radar is always centered on the plant; in 'precipitation' mode it takes over while it's wet there
+  const step = stepCount > 0 ? locationIndex % stepCount : 0;
+  const plant = locations[0];
+  const showRadar = Boolean(plant) && (
+    (radar.mode === 'rotate' && step === locations.length)
+    || (radar.mode === 'precipitation' && isPrecipitating(plant.weather))
+  );
+
+  const currentLocation = showRadar ? plant : locations[step] || null;
+  const weather = currentLocation?.weather;
+  const freshness = currentLocation?.freshness;
 
-  if (error) return <div className="text-red-500">Error: {error}</div>;
-  if (!weather || forecast.length === 0)
+  // Keep showing the last weather we had; only show the error when there is nothing else
+  if (error && !weather) return <div className="text-red-500">Error: {error}</div>;
+  if (!weather)
     return <div className="text-white">Loading weather...</div>;
 
   // OneCall 3.0 API data
@@ -290,47 +360,31 @@ function Weather() {
     daily,
   } = weather;
   const { id: weatherId, description } = currentWeatherArray[0];
-  const todayForecast = daily[0];
-  const { min: temp_min, max: temp_max } = todayForecast.temp;
-
-  // Extract rain data for the next 8 hours
-  const next8Hours = hourly.slice(0, 8).map((hourData) => {
-    const date = new Date(hourData.dt * 1000);
-    let hour = date.getHours();
-    let period = "AM";
-
-    if (hour > 12) {
-      hour = hour - 12;
-      period = "PM";
-    } else if (hour === 12) {
-      period = "PM";
-    } else if (hour < 1) {
-      hour = 1;
-    }
+  const forecastDays = config?.forecastDays || 4;
+  const forecast = getDailyForecast(daily, weather.timezone, forecastDays);
+  const isStrip = forecastDays === 7;
+  const { temp_min, temp_max } = forecast[0] || { temp_min: daily[0].temp.min, temp_max: daily[0].temp.max };
+
+  const units = config?.units;
+  const timeFormat = getTimeFormat(config);
 
-    return {
-      time: `${hour} ${period}`,
-      pop: (hourData.pop * 100).toFixed(0),
-      period: `${period}`,
-    };
-  });
 
   const weatherIconMapping = {
-    Clear: <WiDaySunny size={48} />,
-    Clouds: <WiCloudy size={48} />,
-    Rain: <WiRain size={48} />,
-    Drizzle: <WiRain size={48} />,
-    Thunderstorm: <WiThunderstorm size={48} />,
-    Snow: <WiSnow size={48} />,
-    Mist: <WiFog size={48} />,
-    Smoke: <WiFog size={48} />,
-    Haze: <WiFog size={48} />,
-    Dust: <WiFog size={48} />,
-    Fog: <WiFog size={48} />,
-    Sand: <WiFog size={48} />,
-    Ash: <WiFog size={48} />,
-    Squall: <WiFog size={48} />,
-    Tornado: <WiFog size={48} />,
+    Clear: WiDaySunny,
+    Clouds: WiCloudy,
+    Rain: WiRain,
+    Drizzle: WiRain,
+    Thunderstorm: WiThunderstorm,
+    Snow: WiSnow,
+    Mist: WiFog,
+    Smoke: WiFog,
+    Haze: WiFog,
+    Dust: WiFog,
+    Fog: WiFog,
+    Sand: WiFog,
+    Ash: WiFog,
+    Squall: WiFog,
+    Tornado: WiFog,
   };
 
   function getOrdinalSuffix(day) {
@@ -348,279 +402,158 @@ function Weather() {
   }
 
   const today = new Date();
-  const dayNumber = today.getDate();
-  const ordinalSuffix = getOrdinalSuffix(dayNumber);
-
-  function formatCurrentDate() {
-    const daysOfWeek = [
-      'Sunday',
-      'Monday',
-      'Tuesday',
-      'Wednesday',
-      'Thursday',
-      'Friday',
-      'Saturday',
-    ];
-    const months = [
-      'January',
-      'February',
-      'March',
-      'April',
-      'May',
-      'June',
-      'July',
-      'August',
-      'September',
-      'October',
-      'November',
-      'December',
-    ];
-
-    const dayName = daysOfWeek[today.getDay()];
-    const monthName = months[today.getMonth()];
-
-    return `${dayName}, ${monthName} ${dayNumber}`;
+  // Ordinal suffixes only make sense in English
+  const isEnglish = new Intl.DateTimeFormat(timeFormat.locale).resolvedOptions().locale.startsWith('en');
+  const ordinalSuffix = isEnglish ? getOrdinalSuffix(today.getDate()) : '';
+
+  // Weekday, month and day in the configured locale, e.g. "Monday, October 19"; the suffix goes right
+  // after the day wherever the locale puts it ("Monday 19th October" in en-GB)
+  const dateParts = formatDateTimeParts(today, timeFormat, { weekday: 'long', month: 'long', day: 'numeric' });
+
+  // Last updated indicator
+  let lastUpdated = null;
+  if (freshness) {
+    const fetchedDate = new Date(freshness.fetchedAt);
+    lastUpdated = fetchedDate.toDateString() === today.toDateString()
+      ? formatDateTime(fetchedDate, timeFormat, { hour: 'numeric', minute: '2-digit' })
+      : formatDateTime(fetchedDate, timeFormat, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
   }
 
-  const formattedDate = formatCurrentDate();
-
-  // Spline weather scenes
-  let splineScenes = null;
-  let splineSceneUrl = null;
-
+  // Scene and background for the conditions and time of day (utils/weatherThemes.json)
+  const preview = isDev && previewThemes ? THEME_PREVIEWS[previewIndex % THEME_PREVIEWS.length] : null;
   const { sunrise, sunset } = weather.current;
-  const utcTime = Math.floor(new Date().getTime() / 1000);
-
-  if (utcTime >= sunrise && utcTime < sunset) {
-    splineScenes = {
-      200: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with light rain
-      201: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with rain
-      202: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with heavy rain
-      210: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // light thunderstorm
-      211: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm 
-      212: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // heavy thunderstorm 
-      221: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // ragged thunderstorm 
-      230: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with light drizzle 
-      231: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with drizzle
-      232: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with heavy drizzle
-
-      300: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // light intensity drizzle
-      301: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // drizzle
-      302: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy intensity drizzle
-      310: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // light intensity drizzle rain
-      311: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // drizzle rain
-      312: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy intensity drizzle rain
-      313: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // shower rain and drizzle
-      314: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy shower rain and drizzle
-      321: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // shower drizzle
-
-      500: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Light Rain
-      501: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Moderate Rain
-      502: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Heavy intensity rain
-      503: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Very heavy rain
-      504: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Extreme rain
-      511: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Freezing rain (x)
-      520: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Light intensity shower rain 
-      521: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Shower rain
-      522: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // heavy intensity shower rain
-      531: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // ragged shower rain
-      
-      600: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Light snow
-      601: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Snow
-      602: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Heavy snow
-      611: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Sleet
-      612: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light shower sleet
-      613: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // shower sleet
-      615: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light rain and snow
-      616: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // rain and snow
-      620: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light shower snow
-      621: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // shower snow
-      622: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // heavy shower snow
-
-      800: 'https://prod.spline.design/xkvpDnlvZzRdSQNn/scene.splinecode', // Clear
-      
-      701: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Mist
-      711: '', // Smoke
-      721: '', // Haze
-      731: '', // Dust (sand/dust whirls)
-      741: '', // Fog
-      751: '', // Sand
-      761: '', // Dust (dust)
-      762: '', // volcanic ash
-      771: '', // squalls
-      781: '', // tornado
-
-      801: 'https://prod.spline.design/JS3HK7e12qyvx4De/scene.splinecode', // Few Clouds
-      802: 'https://prod.spline.design/JS3HK7e12qyvx4De/scene.splinecode', // Scattered Clouds
-      803: 'https://prod.spline.design/JS3HK7e12qyvx4De/scene.splinecode', // Broken Clouds
-      804: 'https://prod.spline.design/f4Qkqev0L-eCm-pA/scene.splinecode', // Overcast Clouds
-    }
+  const theme = preview
+    ? getWeatherTheme(preview.group, preview.phase)
+    : getWeatherTheme(getConditionGroup(weatherId), getDayPhase(Math.floor(Date.now() / 1000), sunrise, sunset));
 
-    splineSceneUrl = splineScenes[weatherId] || 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode';
-
-  } else if (sunrise >= utcTime && sunset <= utcTime) {
-    splineScenes = {
-      200: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with light rain
-      201: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with rain
-      202: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with heavy rain
-      210: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // light thunderstorm
-      211: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm 
-      212: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // heavy thunderstorm 
-      221: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // ragged thunderstorm 
-      230: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with light drizzle 
-      231: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with drizzle
-      232: 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode', // thunderstorm with heavy drizzle
-
-      300: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // light intensity drizzle
-      301: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // drizzle
-      302: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy intensity drizzle
-      310: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // light intensity drizzle rain
-      311: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // drizzle rain
-      312: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy intensity drizzle rain
-      313: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // shower rain and drizzle
-      314: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // heavy shower rain and drizzle
-      321: 'https://prod.spline.design/DdRBFtXUE86cx4jm/scene.splinecode', // shower drizzle
-
-      500: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Light Rain
-      501: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Moderate Rain
-      502: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Heavy intensity rain
-      503: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Very heavy rain
-      504: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Extreme rain
-      511: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Freezing rain (x)
-      520: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Light intensity shower rain 
-      521: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Shower rain
-      522: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // heavy intensity shower rain
-      531: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // ragged shower rain
-      
-      600: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Light snow
-      601: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Snow
-      602: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Heavy snow
-      611: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // Sleet
-      612: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light shower sleet
-      613: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // shower sleet
-      615: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light rain and snow
-      616: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // rain and snow
-      620: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // light shower snow
-      621: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // shower snow
-      622: 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode', // heavy shower snow
-
-      800: 'https://prod.spline.design/z8W5wcwZzUzjjLJi/scene.splinecode', // Clear
-      
-      701: 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode', // Mist
-      711: '', // Smoke
-      721: '', // Haze
-      731: '', // Dust (sand/dust whirls)
-      741: '', // Fog
-      751: '', // Sand
-      761: '', // Dust (dust)
-      762: '', // volcanic ash
-      771: '', // squalls
-      781: '', // tornado
-
-      801: 'https://prod.spline.design/z8W5wcwZzUzjjLJi/scene.splinecode', // Few Clouds
-      802: 'https://prod.spline.design/z8W5wcwZzUzjjLJi/scene.splinecode', // Scattered Clouds
-      803: 'https://prod.spline.design/z8W5wcwZzUzjjLJi/scene.splinecode', // Broken Clouds
-      804: 'https://prod.spline.design/f4Qkqev0L-eCm-pA/scene.splinecode', // Overcast Clouds
-    }
-
-    splineSceneUrl = splineScenes[weatherId] || 'https://prod.spline.design/f4Qkqev0L-eCm-pA/scene.splinecode';
-
-  } else {
-    //splineSceneUrl = 'https://prod.spline.design/AC2lpPCp12jHnalJ/scene.splinecode' // rain
-    //splineSceneUrl = 'https://prod.spline.design/7lS05oiXnQySeZkS/scene.splinecode' // lightning
-    //splineSceneUrl = 'https://prod.spline.design/Dp9BU2YzDb3596Wa/scene.splinecode' // snow
-    //splineSceneUrl = 'https://prod.spline.design/xkvpDnlvZzRdSQNn/scene.splinecode' // clear
-    //splineSceneUrl = 'https://prod.spline.design/JS3HK7e12qyvx4De/scene.splinecode' // few clouds
-    splineSceneUrl = 'https://prod.spline.design/f4Qkqev0L-eCm-pA/scene.splinecode' // overcast
-    //splineSceneUrl = 'https://prod.spline.design/z8W5wcwZzUzjjLJi/scene.splinecode' // moon
-  }
+  // Stands in for the scene without WebGL, when it fails to load, or in low-power mode
+  const lowPower = config?.lowPower;
+  const weatherArt = <WeatherArt weatherId={preview ? preview.weatherId : weatherId} isDay={theme.phase !== 'night'} />;
 
   return (
-    <div className="absolute top-4 right-10 flex flex-col mr-3 z-0 w-[30vw] justify-between h-[58vh]">
-      <div className="flex justify-between pt-2 h-[60%]">
-
-        {/* Left Header */}
-        <div className="relative flex flex-col justify-between">
-          <div>
-            <p className="font-semibold text-xl">{description}</p>
-            <hr className="rounded-xl border border-white/30 mt-1 w-[50%]" />
-            <p className="text-md text-white font-semibold mb-">
-              H: {temp_max.toFixed(0)}° | L: {temp_min.toFixed(0)}°
-            </p>
+    <div
+      className="absolute top-4 right-10 flex flex-col mr-3 z-0 w-[30vw] justify-between h-[58vh] rounded-xl"
+      style={{ background: theme.background }}
+    >
+      {preview && (
+        <p className="absolute bottom-1 right-2 z-10 px-2 rounded bg-black/60 text-xs text-white/70">
+          Preview: {preview.group} · {preview.phase}
+        </p>
+      )}
+
+      {/* Severe Weather Alerts */}
+      <WeatherAlerts alerts={weather.alerts} timeFormat={timeFormat} />
+
+      {showRadar ? (
+        <RadarMap
+          latitude={currentLocation.location.latitude}
+          longitude={currentLocation.location.longitude}
+          name={currentLocation.location.name}
+          radar={radar}
+          timeFormat={timeFormat}
+        />
+      ) : (
+        <>
+          <div className="flex justify-between pt-2 flex-1 min-h-0 max-h-[60%]">
+
+            {/* Left Header */}
+            <div className="relative flex flex-col justify-between">
+              <div>
+                {locations.length > 1 && (
+                  <p className="text-sm font-bold uppercase tracking-wider text-white/60">
+                    {currentLocation.location.name}
+                  </p>
+                )}
+                <p className="font-semibold text-xl">{description}</p>
+                <hr className="rounded-xl border border-white/30 mt-1 w-[50%]" />
+                <p className="text-md text-white font-semibold mb-">
+                  H: {Math.round(temp_max)}° | L: {Math.round(temp_min)}°
+                </p>
+              </div>
+              {lowPower ? weatherArt : (
+                <SplineScene name={theme.scene} fallback={weatherArt} />
+              )}
+            </div>
+
+            {/* Right Header */}
+            <div className="flex flex-col mr-4 text-right w-[50%] space-y-14">
+              {/* Current Date */}
+              <div>
+                <span className="text-lg font-semibold">
+                  {dateParts.map((part, index) => (
+                    <React.Fragment key={index}>
+                      {part.value}
+                      {part.type === 'day' && ordinalSuffix && <sup>{ordinalSuffix}</sup>}
+                    </React.Fragment>
+                  ))}
+                </span>
+                <hr className="rounded-xl border border-white/30 mt-1" />
+              </div>
+              {/* Temp */}
+              <p className="text-7xl font-bold">{formatTemperature(temp, units)}</p>
+              {/* Additional Info */}
+              <div className="self-end mb-10">
+                <p className="text-sm italic">Feels like: {formatTemperature(feels_like, units)}</p>
+                {lastUpdated && (
+                  <p className={`text-xs mt-1 ${freshness.stale ? 'text-yellow-400' : 'text-white/40'}`}>
+                    {freshness.stale ? 'Offline · last updated' : 'Updated'} {lastUpdated}
+                  </p>
+                )}
+              </div>
+            </div>
           </div>
-          <Spline
-            scene={splineSceneUrl}
-            className=""
+
+          {/* Wind, humidity, UV, air quality, ... */}
+          <WeatherDetails
+            details={config?.weatherDetails}
+            weather={weather}
+            airQuality={currentLocation.airQuality}
+            units={units}
+            timeFormat={timeFormat}
           />
-        </div>
-
-        {/* Right Header */}
-        <div className="flex flex-col mr-4 text-right w-[50%] space-y-14">
-          {/* Current Date */}
-          <div>
-            <span className="text-lg font-semibold">{formattedDate}</span>
-            <sup>{ordinalSuffix}</sup>
-            <hr className="rounded-xl border border-white/30 mt-1" />
-          </div>
-          {/* Temp */}
-          <p className="text-7xl font-bold">{temp.toFixed(0)}°F</p>
-          {/* Additional Info */}
-          <div className="self-end mb-10">
-            <p className="text-sm italic">Feels like: {feels_like.toFixed(0)}°F</p>
-          </div>
-        </div>
-      </div>
-
-      {/* Chance of Precipitation Chart */}
-      <div className="relative -translate-x-2">
-        <h1 className="absolute -top-10 left-2 left-[50%]x -translate-x-[50%]x text-xl font-semibold text-end text-white/40">Chance of Precipitation</h1>
-        <div className='w-full h-[12vh] pr-5'>
-          <ResponsiveContainer width='100%' height='100%'>
-            <AreaChart data={next8Hours}>
-              <XAxis dataKey='time' tick={{ fill: 'white' }} className='text-sm'/>
-              <YAxis
-                tickFormatter={(value) => `${value}%`}
-                tick={{ fill: 'white'}}
-                ticks={[50, 100]}
-                className='text-sm'
-              />
-              <Tooltip
-                formatter={(value) => `${value}%`}
-                labelStyle={{ color: 'Black' }}
-              />
-              <Area dataKey="pop" fill="#4682B4" stroke='#4682B4' type='monotone'/>
-            </AreaChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-
-      {/* Forecast for next 4 days */}
-      <div className="mt-5">
-        <hr className="mb-2 border border-white/30" />
-        <div className="flex justify-around">
-        {forecast.map((day, index) => {
-          const date = new Date(day.date);
-          const dayName = date.toLocaleDateString('en-US', {
-            weekday: 'short',
-          });
-          const tempMin = day.temp_min.toFixed(0);
-          const tempMax = day.temp_max.toFixed(0);
-          const condition = day.condition;
-          const Icon = weatherIconMapping[condition] || <WiFog size={48} />;
-          return (
-            <div key={index} className="flex flex-col items-center">
-              <p className="text-white">{dayName}</p>
-              {Icon}
-              <p className="text-white">
-                {tempMax}°F / {tempMin}°F
-              </p>
+
+          {/* Hourly Chart */}
+          <HourlyChart
+            hourly={hourly}
+            hours={config?.hourlyChart.hours}
+            series={config?.hourlyChart.series}
+            units={units}
+            timeFormat={timeFormat}
+            timeZone={weather.timezone}
+          />
+
+          {/* Forecast for the next 4 or 7 days; the 7-day strip adds precipitation */}
+          <div className="mt-5">
+            <hr className="mb-2 border border-white/30" />
+            <div className="flex justify-around">
+            {forecast.map((day) => {
+              const date = new Date(day.dt * 1000);
+              const dayName = formatDateTime(date, timeFormat, { weekday: 'short', timeZone: weather.timezone });
+              const tempMin = formatTemperature(day.temp_min, units);
+              const tempMax = formatTemperature(day.temp_max, units);
+              const Icon = weatherIconMapping[day.condition] || WiFog;
+              return (
+                <div key={day.dt} className={`flex flex-col items-center ${isStrip ? 'text-sm' : ''}`}>
+                  <p className="text-white">{dayName}</p>
+                  <Icon size={isStrip ? 36 : 48} />
+                  <p className="text-white">
+                    {tempMax} / {tempMin}
+                  </p>
+                  {isStrip && (
+                    <p className="text-xs text-sky-300">
+                      {Math.round(day.pop * 100)}%
+                      {day.precipitation > 0 && ` · ${formatPrecipitation(day.precipitation, units)}`}
+                    </p>
+                  )}
+                </div>
+                );
+              })}
             </div>
-            );
-          })}
-        </div>
-      </div>
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-export default Weather;
\ No newline at end of file
+export default Weather;
\ No newline at end of file
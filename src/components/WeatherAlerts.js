@@ -0,0 +1,109 @@
+/**
+ * WeatherAlerts Component
+ *
+ * Banner at the top of the weather panel for active severe weather alerts (tornado, blizzard, heat, ...)
+ * from the One Call API's `alerts` array.
+ *
+ * Key Features:
+ * - **Content Display:**
+ *   - Shows the event name, severity, start/end time and the issuing office (`sender_name`).
+ *   - With several alerts the most severe comes first and the banner rotates through them every
+ *     `ROTATE_MS`, showing "1 of 3".
+ * - **Severity:**
+ *   - One Call alerts don't carry a severity field, so it is read from the event name the way the
+ *     National Weather Service names them: Warning > Watch > Advisory > anything else (`getSeverity`).
+ * - **Expiry:**
+ *   - Alerts past their `end` time are dropped, and a timer re-renders the banner when the next one
+ *     starts or expires, so it updates and clears on its own between weather refreshes.
+ *
+ * Notes for Developers:
+ * - **Mock Data:**
+ *   - The mock weather data in `Weather.js` includes alerts (one already expired) for development.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { formatDateTime } from '../utils/formatting';
+
+const ROTATE_MS = 10 * 1000;
+// setTimeout can't wait much longer than this; the banner just checks again
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+// Highest rank first
+const SEVERITIES = [
+  { pattern: /warning|emergency/i, label: 'Warning', rank: 3, style: 'bg-red-700/90 border-red-400' },
+  { pattern: /watch/i, label: 'Watch', rank: 2, style: 'bg-orange-600/90 border-orange-300' },
+  { pattern: /advisory/i, label: 'Advisory', rank: 1, style: 'bg-yellow-600/90 border-yellow-300' },
+  { pattern: /./, label: 'Statement', rank: 0, style: 'bg-slate-600/90 border-slate-300' },
+];
+
+function getSeverity(event) {
+  return SEVERITIES.find(({ pattern }) => pattern.test(event || ''));
+}
+
+function formatAlertTime(seconds, timeFormat) {
+  return formatDateTime(new Date(seconds * 1000), timeFormat, {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function WeatherAlerts({ alerts = [], timeFormat }) {
+  // Bumped by the timer below; 'now' is read on every render
+  const [, setTick] = useState(0);
+  const [alertIndex, setAlertIndex] = useState(0);
+
+  const now = Date.now();
+  const activeAlerts = alerts
+    .filter((alert) => alert.end * 1000 > now)
+    .sort((a, b) => getSeverity(b.event).rank - getSeverity(a.event).rank || a.start - b.start);
+
+  // Re-render when the next alert starts or expires
+  const upcoming = activeAlerts
+    .flatMap((alert) => [alert.start * 1000, alert.end * 1000])
+    .filter((time) => time > now);
+  const nextChange = upcoming.length > 0 ? Math.min(...upcoming) : null;
+  useEffect(() => {
+    if (!nextChange) return;
+    const delay = Math.min(nextChange - Date.now() + 1000, MAX_TIMER_MS);
+    const changeTimer = setTimeout(() => setTick((prevTick) => prevTick + 1), delay);
+    return () => clearTimeout(changeTimer);
+  }, [nextChange]);
+
+  useEffect(() => {
+    if (activeAlerts.length < 2) return;
+    const rotateTimer = setInterval(() => setAlertIndex((prevIndex) => prevIndex + 1), ROTATE_MS);
+    return () => clearInterval(rotateTimer);
+  }, [activeAlerts.length]);
+
+  if (activeAlerts.length === 0) return null;
+
+  const position = alertIndex % activeAlerts.length;
+  const alert = activeAlerts[position];
+  const severity = getSeverity(alert.event);
+  const started = alert.start * 1000 <= now;
+
+  return (
+    <div className={`flex items-center gap-4 px-4 py-2 mb-2 rounded-lg border-l-8 text-white ${severity.style}`}>
+      <FaExclamationTriangle className="text-4xl shrink-0" />
+      <div className="min-w-0 flex-1">
+        <div className="flex items-baseline gap-3">
+          <p className="text-2xl font-extrabold truncate">{alert.event}</p>
+          <span className="text-xs font-bold uppercase tracking-wider px-2 py-0.5 rounded bg-black/30">
+            {severity.label}
+          </span>
+        </div>
+        <p className="text-sm">
+          {started ? 'Until' : `${formatAlertTime(alert.start, timeFormat)} until`} {formatAlertTime(alert.end, timeFormat)}
+          {alert.sender_name && <span className="text-white/70"> · {alert.sender_name}</span>}
+        </p>
+      </div>
+      {activeAlerts.length > 1 && (
+        <p className="text-sm text-white/70 shrink-0">{position + 1} of {activeAlerts.length}</p>
+      )}
+    </div>
+  );
+}
+
+export default WeatherAlerts;
@@ -0,0 +1,57 @@
+/**
+ * WeatherArt Component
+ *
+ * Animated react-icons weather art, shown in place of the Spline weather scene when WebGL isn't
+ * available, the scene fails to load, or `lowPower` is on.
+ *
+ * Key Features:
+ * - **Conditions:**
+ *   - Picks the icon from the OpenWeather condition id, with day and night variants for clear skies
+ *     and light clouds.
+ * - **Animation:**
+ *   - CSS only (`animate-float`, `animate-spin-slow`, `animate-pulse`), so it costs next to nothing
+ *     on displays without a GPU.
+ */
+
+import React from 'react';
+import {
+  WiDaySunny,
+  WiNightClear,
+  WiDayCloudy,
+  WiNightAltCloudy,
+  WiCloudy,
+  WiSprinkle,
+  WiRain,
+  WiSnow,
+  WiThunderstorm,
+  WiFog,
+} from 'react-icons/wi';
+
+function getWeatherArt(weatherId, isDay) {
+  if (weatherId >= 200 && weatherId < 300) return { Icon: WiThunderstorm, animation: 'animate-pulse' };
+  if (weatherId >= 300 && weatherId < 400) return { Icon: WiSprinkle, animation: 'animate-float' };
+  if (weatherId >= 500 && weatherId < 600) return { Icon: WiRain, animation: 'animate-float' };
+  if (weatherId >= 600 && weatherId < 700) return { Icon: WiSnow, animation: 'animate-float' };
+  if (weatherId >= 700 && weatherId < 800) return { Icon: WiFog, animation: 'animate-pulse' };
+  if (weatherId === 800) {
+    return isDay
+      ? { Icon: WiDaySunny, animation: 'animate-spin-slow' }
+      : { Icon: WiNightClear, animation: 'animate-float' };
+  }
+  if (weatherId === 801 || weatherId === 802) {
+    return { Icon: isDay ? WiDayCloudy : WiNightAltCloudy, animation: 'animate-float' };
+  }
+  return { Icon: WiCloudy, animation: 'animate-float' };
+}
+
+function WeatherArt({ weatherId, isDay = true, size = 140 }) {
+  const { Icon, animation } = getWeatherArt(weatherId, isDay);
+
+  return (
+    <div className="flex flex-1 items-center justify-center">
+      <Icon size={size} className={`text-white/80 ${animation}`} />
+    </div>
+  );
+}
+
+export default WeatherArt;
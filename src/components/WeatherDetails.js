@@ -0,0 +1,123 @@
+/**
+ * WeatherDetails Component
+ *
+ * Row of current-condition details under the temperature: wind, humidity, UV index, visibility,
+ * dew point, sunrise/sunset and air quality. Wind and heat matter for yard and loading-dock work.
+ *
+ * Key Features:
+ * - **Configurable:**
+ *   - Shows the details listed in the config's `weatherDetails`, in that order.
+ * - **Data:**
+ *   - Everything except air quality comes from the One Call `current` block already fetched by `Weather.js`.
+ *   - Air quality (`aqi` 1-5) comes from OpenWeather's air pollution endpoint (`fetch-air-quality`).
+ * - **Units:**
+ *   - Wind is mph for imperial and m/s otherwise, visibility miles or km, dew point in the temperature unit.
+ *   - Sunrise and sunset are shown in the location's own time zone (One Call `timezone`).
+ */
+
+import React from 'react';
+import {
+  WiStrongWind,
+  WiHumidity,
+  WiHot,
+  WiFog,
+  WiRaindrop,
+  WiSunrise,
+  WiSmog,
+} from 'react-icons/wi';
+import { formatDateTime, formatTemperature } from '../utils/formatting';
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const AIR_QUALITY_LEVELS = ['Good', 'Fair', 'Moderate', 'Poor', 'Very Poor'];
+const METERS_PER_MILE = 1609.344;
+
+function getCompassPoint(degrees) {
+  return COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length];
+}
+
+function getUvLevel(uvi) {
+  if (uvi < 3) return 'Low';
+  if (uvi < 6) return 'Moderate';
+  if (uvi < 8) return 'High';
+  if (uvi < 11) return 'Very High';
+  return 'Extreme';
+}
+
+function formatVisibility(meters, units) {
+  return units === 'imperial'
+    ? `${(meters / METERS_PER_MILE).toFixed(1)} mi`
+    : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// { icon, label, value } for a detail, or null when the data isn't there
+function readDetail(detail, { weather, airQuality, units, timeFormat }) {
+  const current = weather.current;
+
+  switch (detail) {
+    case 'wind': {
+      if (current.wind_speed === undefined) return null;
+      const speedUnit = units === 'imperial' ? 'mph' : 'm/s';
+      const gusts = current.wind_gust ? `, gusts ${Math.round(current.wind_gust)}` : '';
+      return {
+        Icon: WiStrongWind,
+        label: 'Wind',
+        value: `${getCompassPoint(current.wind_deg || 0)} ${Math.round(current.wind_speed)}${gusts} ${speedUnit}`,
+      };
+    }
+    case 'humidity':
+      return current.humidity === undefined
+        ? null
+        : { Icon: WiHumidity, label: 'Humidity', value: `${current.humidity}%` };
+    case 'uv':
+      return current.uvi === undefined
+        ? null
+        : { Icon: WiHot, label: 'UV Index', value: `${Math.round(current.uvi)} ${getUvLevel(current.uvi)}` };
+    case 'visibility':
+      return current.visibility === undefined
+        ? null
+        : { Icon: WiFog, label: 'Visibility', value: formatVisibility(current.visibility, units) };
+    case 'dewPoint':
+      return current.dew_point === undefined
+        ? null
+        : { Icon: WiRaindrop, label: 'Dew Point', value: formatTemperature(current.dew_point, units) };
+    case 'sunrise': {
+      if (!current.sunrise || !current.sunset) return null;
+      const options = { hour: 'numeric', minute: '2-digit', timeZone: weather.timezone };
+      const sunrise = formatDateTime(new Date(current.sunrise * 1000), timeFormat, options);
+      const sunset = formatDateTime(new Date(current.sunset * 1000), timeFormat, options);
+      return { Icon: WiSunrise, label: 'Sunrise / Sunset', value: `${sunrise} / ${sunset}` };
+    }
+    case 'airQuality': {
+      const aqi = airQuality?.list?.[0]?.main?.aqi;
+      return aqi
+        ? { Icon: WiSmog, label: 'Air Quality', value: AIR_QUALITY_LEVELS[aqi - 1] || String(aqi) }
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function WeatherDetails({ details = [], weather, airQuality, units, timeFormat }) {
+  const items = details
+    .map((detail) => ({ detail, item: readDetail(detail, { weather, airQuality, units, timeFormat }) }))
+    .filter(({ item }) => item);
+
+  if (items.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap justify-between gap-y-1 px-2 py-1 mb-10 rounded-lg bg-white/5">
+      {items.map(({ detail, item: { Icon, label, value } }) => (
+        <div key={detail} className="flex items-center gap-1">
+          <Icon size={28} className="text-white/70" />
+          <div className="leading-tight">
+            <p className="text-[0.65rem] uppercase tracking-wider text-white/50">{label}</p>
+            <p className="text-sm font-semibold">{value}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default WeatherDetails;
@@ -6,12 +6,13 @@
  * Key Features:
  * - **Data Fetching:**
  *   - Fetches news articles from the main process using IPC calls (`window.electronAPI.fetchNews()`).
- *   - Updates news articles every 24 hours.
+ *   - Updates news articles every `intervals.worldNewsRefresh` ms (24 hours by default).
  * - **Article Rotation:**
- *   - Displays each article for 30 seconds before moving to the next.
+ *   - Displays each article for its reading time (`getDisplayDuration`) before moving to the next.
  *   - Cycles back to the first article after the last one.
  * - **Error Handling:**
  *   - Shows an error message if news articles are unavailable.
+ *   - Shows a "last updated" note when the main process serves cached articles because the API is down.
  * - **UI Elements:**
  *   - Displays article title, description, and image.
  *   - Includes a header with a news icon and "World News" title.
@@ -24,20 +25,38 @@
  * - **Effect Hooks:**
  *   - Uses `useEffect` for initial data fetching and setting up intervals for updates and rotation.
  * - **Customization:**
- *   - Adjust the rotation interval (`INTERVAL`) and news update frequency as needed.
+ *   - Reading-time bounds and news update frequency come from the config file (`useConfig`).
+ *   - Publish dates are formatted on render in the display's time zone with the configured `locale` and `clock`,
+ *     so a config reload applies without refetching.
  * - ** API Limits **
  *   - Media Stack API only allows for 100 calls PER MONTH. Update and run production data sparingly.
+ *   - The main process paces calls against `quota.mediastackMonthly` and serves cached articles once it is used up.
  */
 
 import React, { useState, useEffect } from 'react';
 import Announcements from './Announcements';
 import { ImNewspaper } from "react-icons/im";
 import PreviousMap from 'postcss/lib/previous-map';
+import useConfig from '../hooks/useConfig';
+import { getTimeFormat, formatDateTime } from '../utils/formatting';
+import { getDisplayDuration } from '../utils/readingTime';
+
+const PUBLISHED_FORMAT = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short',
+};
 
 function News() {
+  const config = useConfig();
   const [articles, setArticles] = useState([]);
   const [currentArticleIndex, setCurrentArticleIndex] = useState(0);
   const [error, setError] = useState(null);
+  const [freshness, setFreshness] = useState(null);
   const [isDev, setIsDev] = useState(null);
   const useMockData = false;
 
@@ -55,21 +74,6 @@ function News() {
   }, []);
 
   const fetchNews = async () => {
-
-    // Format publish date
-    const options = {
-      weekday: 'long',     // e.g., 'Monday'
-      year: 'numeric',     // e.g., '2024'
-      month: 'long',       // e.g., 'August'
-      day: 'numeric',      // e.g., '5'
-      hour: 'numeric',     // e.g., '5' or '17' depending on locale
-      minute: '2-digit',   // e.g., '47'
-      second: '2-digit',   // e.g., '24'
-      timeZone: 'UTC',     // Ensures the time is displayed in UTC
-      timeZoneName: 'short' // e.g., 'UTC'
-    };
-    const formatter = new Intl.DateTimeFormat('en-US', options);
-
     // Check environment and use of mock data
     if (isDev && useMockData) {
       console.log('mock news data used');
@@ -92,25 +96,14 @@ function News() {
         },
       ]; 
 
-      const articlesWithFormattedDate = filteredArticles.map(article => {
-        const date = new Date(article.published_at);
-        article.formattedDate = formatter.format(date);
-        return article;
-      });
-  
-      setArticles(articlesWithFormattedDate);
+      setArticles(filteredArticles);
       setCurrentArticleIndex(0);
     } else {
       try {
-        const filteredArticles = await window.electronAPI.fetchNews();
-
-        const articlesWithFormattedDate = filteredArticles.map(article => {
-          const date = new Date(article.published_at);
-          article.formattedDate = formatter.format(date);
-          return article;
-        });
-    
-        setArticles(articlesWithFormattedDate);
+        const { data: filteredArticles, fetchedAt, stale } = await window.electronAPI.fetchNews();
+        setFreshness({ fetchedAt, stale });
+
+        setArticles(filteredArticles);
         setCurrentArticleIndex(0);
 
         if (filteredArticles.length === 0) {
@@ -121,32 +114,41 @@ function News() {
       } catch (error) {
         console.log('Error fetching the news data', error);
         setError('News articles are currently unavailable.');
+        setFreshness((prev) => prev && { ...prev, stale: true });
       }
     }
   };
 
+  const refreshMs = config?.intervals.worldNewsRefresh;
+
   useEffect(() => {
-    if (isDev !== null) {
+    if (isDev !== null && refreshMs) {
       fetchNews();
       const newsUpdateInterval = setInterval(() => {
         fetchNews();
-      }, 60 * 1000 * 60 * 24);
+      }, refreshMs);
       return () => clearInterval(newsUpdateInterval);
     }
-  }, [isDev]);
+  }, [isDev, refreshMs]);
+
+  const slotArticle = articles[currentArticleIndex];
+  const slotMs = slotArticle && getDisplayDuration(
+    `${slotArticle.title} ${slotArticle.description}`,
+    { imageCount: slotArticle.image ? 1 : 0 },
+    config?.readingTime
+  );
 
   useEffect(() => {
-    if (!articles.length) return;
+    if (!articles.length || !slotMs) return;
 
-    const INTERVAL = 30000;
-    const intervalId = setInterval(() => {
+    const timeoutId = setTimeout(() => {
       setCurrentArticleIndex((prevIndex) =>
-        prevIndex === articles.length - 1 ? 0 : prevIndex + 1
+        prevIndex >= articles.length - 1 ? 0 : prevIndex + 1
       );
-    }, INTERVAL);
+    }, slotMs);
 
-    return () => clearInterval(intervalId);
-  }, [articles]);
+    return () => clearTimeout(timeoutId);
+  }, [articles, currentArticleIndex, slotMs]);
 
   const handleImageError = () => {
     setArticles((prevArticles) => {
@@ -183,24 +185,29 @@ function News() {
             <div className='flex p-2 pl-4 bg-white/20 bg-blur backdrop-blur-3xl mb-2'>
               <ImNewspaper size={48} className='mr-4'/>
               <h1 className="font-extrabold text-4xl w-full text-start">World News</h1>
+              {freshness?.stale && (
+                <p className="self-center whitespace-nowrap text-xs text-yellow-400 mr-2">
+                  Offline · last updated {formatDateTime(new Date(freshness.fetchedAt), getTimeFormat(config), { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                </p>
+              )}
             </div>            
             <div className='flex bg-white/5'>
               <div className='w-1/2 p-5 px-10'>
-                {error ? (
+                {error && !articles.length ? (
                   <p className='text-gray-500'>{error}</p>
                 ) : !articles.length ? (
                   <p>loading news...</p>
                 ) : (
                   <>
                     <h2 className="font-bold text-3xl">{currentArticle.title}</h2>
-                    <p className="text-md text-gray-400 mt-4">{currentArticle.formattedDate}</p>
+                    <p className="text-md text-gray-400 mt-4">{formatDateTime(new Date(currentArticle.published_at), getTimeFormat(config), PUBLISHED_FORMAT)}</p>
                     <p className="mt-2 text-lg">{currentArticle.description}</p>
                   </>
                 )}
             </div>
             {/* Article Image */}
             <div className="w-1/2 h-[30vh] flex justify-center items-center rounded-xl">
-              {error || !articles.length ? (
+              {!articles.length ? (
                 <div className='h-[30vh]' />
               ) : (
                 <img 
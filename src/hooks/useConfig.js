@@ -0,0 +1,35 @@
+/**
+ * useConfig Hook
+ *
+ * Returns the application config loaded by the main process (`styberg-news.config.json`),
+ * or `null` until it has been fetched.
+ *
+ * Notes for Developers:
+ * - **Live Reload:**
+ *   - Subscribes to `window.electronAPI.onConfigChanged()` so components re-render with the
+ *     new values whenever the config file is edited.
+ */
+
+import { useState, useEffect } from 'react';
+
+function useConfig() {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    const fetchConfig = async () => {
+      try {
+        const data = await window.electronAPI.fetchConfig();
+        setConfig(data);
+      } catch (error) {
+        console.error('Error fetching config:', error);
+      }
+    };
+
+    fetchConfig();
+    return window.electronAPI.onConfigChanged(setConfig);
+  }, []);
+
+  return config;
+}
+
+export default useConfig;
@@ -0,0 +1,69 @@
+/**
+ * Formatting
+ *
+ * Temperatures, dates and times for the panels, following the `units`, `clock` and `locale`
+ * settings from the config file.
+ *
+ * Notes for Developers:
+ * - **Dates and Times:**
+ *   - Everything goes through `Intl.DateTimeFormat`; `clock` ('12h' / '24h') only sets the `hourCycle`,
+ *     so midnight is "12 AM" or "00", never "1 AM".
+ *   - Pass `{ locale, clock }` from the config (`getTimeFormat(config)`); until the config has loaded the
+ *     system locale and a 12-hour clock are used.
+ * - **Temperatures:**
+ *   - OpenWeather already returns the requested `units` (°F for imperial, °C for metric, kelvin for
+ *     standard), so values are only rounded and labeled, never converted.
+ * - **Precipitation:**
+ *   - Rain and snow totals are always millimeters from OpenWeather, whatever the `units`; imperial shows
+ *     them in inches.
+ */
+
+const MILLIMETERS_PER_INCH = 25.4;
+
+const TEMPERATURE_UNITS = {
+  imperial: '°F',
+  metric: '°C',
+  standard: ' K',
+};
+
+// Formatters are reused; creating one is comparatively slow
+const formatters = new Map();
+
+export function getTimeFormat(config) {
+  return { locale: config?.locale, clock: config?.clock };
+}
+
+function getFormatter({ locale, clock } = {}, options) {
+  const formatOptions = options.hour
+    ? { ...options, hourCycle: clock === '24h' ? 'h23' : 'h12' }
+    : options;
+  const key = JSON.stringify([locale, formatOptions]);
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(locale, formatOptions));
+  }
+  return formatters.get(key);
+}
+
+export function formatDateTime(date, timeFormat, options) {
+  return getFormatter(timeFormat, options).format(date);
+}
+
+// Same as formatDateTime, as Intl parts ({ type, value }) for placing extras next to one of them
+export function formatDateTimeParts(date, timeFormat, options) {
+  return getFormatter(timeFormat, options).formatToParts(date);
+}
+
+export function getTemperatureUnit(units) {
+  return TEMPERATURE_UNITS[units] || '°';
+}
+
+export function formatTemperature(value, units) {
+  return `${Math.round(value)}${getTemperatureUnit(units)}`;
+}
+
+export function formatPrecipitation(millimeters, units) {
+  return units === 'imperial'
+    ? `${(millimeters / MILLIMETERS_PER_INCH).toFixed(2)} in`
+    : `${millimeters.toFixed(1)} mm`;
+}
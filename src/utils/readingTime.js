@@ -0,0 +1,31 @@
+/**
+ * Reading Time
+ *
+ * Works out how long a carousel item (Styberg News article, announcement or world news story)
+ * stays on screen.
+ *
+ * Notes for Developers:
+ * - **Calculation:**
+ *   - Word count at `readingTime.wordsPerMinute`, plus `readingTime.imageMs` for every image (a gallery
+ *     article gets it once per photo), clamped to `readingTime.minMs`..`readingTime.maxMs` from the config file.
+ *   - A gallery may run past `maxMs` so that each photo still gets its full `imageMs`.
+ *   - HTML tags are stripped before counting words.
+ * - **Overrides:**
+ *   - An item's own duration (front matter, in seconds) wins over the calculation and is not clamped.
+ */
+
+function countWords(text) {
+  const plainText = (text || '').replace(/<[^>]*>/g, ' ');
+  return plainText.split(/\s+/).filter(Boolean).length;
+}
+
+export function getDisplayDuration(text, { imageCount = 0, durationSeconds } = {}, readingTime) {
+  if (durationSeconds) return durationSeconds * 1000;
+  if (!readingTime) return null;
+
+  const { wordsPerMinute, imageMs, minMs, maxMs } = readingTime;
+  const imagesMs = imageMs * imageCount;
+  const readingMs = (countWords(text) / wordsPerMinute) * 60 * 1000 + imagesMs;
+
+  return Math.round(Math.min(Math.max(maxMs, imagesMs), Math.max(minMs, readingMs)));
+}
@@ -0,0 +1,63 @@
+/**
+ * Weather Theme
+ *
+ * Picks the Spline scene and background gradient for the Weather panel from the current
+ * conditions and the time of day, as laid out in `weatherThemes.json`.
+ *
+ * Notes for Developers:
+ * - **Theme File:**
+ *   - `conditions` sorts OpenWeather condition ids into groups (inclusive `from`-`to` ranges); ids that
+ *     match no range use `defaultGroup`.
+ *   - `phases` holds the background for each time of day (`dawn`, `day`, `dusk`, `night`).
+ *   - `themes` gives each group a `scene` (a name from `scripts/fetch-scenes.js`) and optionally a
+ *     `background`; a phase key inside a group (e.g. `"night": { "scene": "clear-night" }`) overrides
+ *     either for that phase only.
+ * - **Phases:**
+ *   - Dawn and dusk are the `twilightMinutes` either side of sunrise and sunset.
+ *   - One Call's `sunrise` and `sunset` are for the location's current day, so after midnight both are
+ *     still ahead. Each is moved to its most recent occurrence before comparing: it is day when the last
+ *     sunrise came after the last sunset. The same works for cached data from an earlier day.
+ */
+
+import weatherThemes from './weatherThemes.json';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const DAY_PHASES = ['dawn', 'day', 'dusk', 'night'];
+
+export function getConditionGroup(weatherId) {
+  const condition = weatherThemes.conditions.find(({ from, to }) => weatherId >= from && weatherId <= to);
+  return condition ? condition.group : weatherThemes.defaultGroup;
+}
+
+// Times are unix seconds
+export function getDayPhase(now, sunrise, sunset) {
+  // Polar day or night: One Call leaves the times out
+  if (!sunrise || !sunset) return 'day';
+
+  const twilightSeconds = weatherThemes.twilightMinutes * 60;
+  const nearest = (time) => time + Math.round((now - time) / DAY_SECONDS) * DAY_SECONDS;
+  const latest = (time) => time + Math.floor((now - time) / DAY_SECONDS) * DAY_SECONDS;
+
+  if (Math.abs(now - nearest(sunrise)) <= twilightSeconds) return 'dawn';
+  if (Math.abs(now - nearest(sunset)) <= twilightSeconds) return 'dusk';
+  return latest(sunrise) > latest(sunset) ? 'day' : 'night';
+}
+
+export function getWeatherTheme(group, phase) {
+  const theme = weatherThemes.themes[group] || weatherThemes.themes[weatherThemes.defaultGroup];
+  const { scene, background } = theme;
+
+  return {
+    group,
+    phase,
+    scene,
+    background: background || weatherThemes.phases[phase].background,
+    ...theme[phase],
+  };
+}
+
+// Every group and phase with a condition id from the group, for the dev preview in Weather.js
+export const THEME_PREVIEWS = weatherThemes.conditions.flatMap(({ group, from }) => (
+  DAY_PHASES.map((phase) => ({ group, phase, weatherId: from }))
+));
@@ -7,7 +7,30 @@ module.exports = {
     extend: {
       backgroundImage: {
         'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
-      }
+      },
+      // Carousel progress bars; the duration is set inline per item
+      keyframes: {
+        'progress-fill': {
+          from: { width: '0%' },
+          to: { width: '100%' },
+        },
+        // Long announcements; the offsets and duration are set inline by Ticker.js
+        ticker: {
+          from: { transform: 'translateX(var(--ticker-from))' },
+          to: { transform: 'translateX(var(--ticker-to))' },
+        },
+        // Weather icon art shown in place of the Spline scene
+        float: {
+          '0%, 100%': { transform: 'translateY(0)' },
+          '50%': { transform: 'translateY(-8%)' },
+        },
+      },
+      animation: {
+        'progress-fill': 'progress-fill linear forwards',
+        ticker: 'ticker linear infinite',
+        float: 'float 6s ease-in-out infinite',
+        'spin-slow': 'spin 30s linear infinite',
+      },
     },
   },
   plugins: [
@@ -0,0 +1,125 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* On-disk cache of News images downscaled to the display's resolution. Phone photos are often
+* several megabytes; decoding them at full size on every rotation is wasted work on the kiosk PCs.
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Resizing
+*   - Images wider or taller than the display are scaled down to fit it with Electron's nativeImage
+*     (no extra dependency)
+*   - PNGs stay PNG to keep transparency; everything else is re-encoded as JPEG
+*   - GIFs and images that nativeImage can't decode are served unchanged
+*
+* 2) Caching
+*   - Cached files live in '<userData>/media-cache', keyed by path + mtime + size + display size,
+*     so editing an image on the share produces a new entry
+*   - Images that are served as is (small enough already, or not decodable) are remembered in
+*     memory by the same key, so they aren't read and decoded again on every request
+*   - Entries unused for CACHE_MAX_AGE_MS are pruned at startup
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { app, nativeImage } = require('electron');
+
+const RESIZABLE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp'];
+const JPEG_QUALITY = 85;
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// filePath -> cache key of the version that needs no resizing
+const servedAsIs = new Map();
+
+function getCacheDir() {
+  return path.join(app.getPath('userData'), 'media-cache');
+}
+
+function getCacheKey(filePath, stats, { width, height }) {
+  return crypto
+    .createHash('sha1')
+    .update(`${filePath}|${stats.mtimeMs}|${stats.size}|${width}x${height}`)
+    .digest('hex');
+}
+
+/**
+ * Returns { buffer, contentType } for a copy of the image scaled down to fit maxSize
+ * ({ width, height }), or null when the original should be served as is.
+ */
+async function getThumbnail(filePath, maxSize) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!RESIZABLE_EXTENSIONS.includes(ext)) return null;
+
+  const isPng = ext === '.png';
+  const contentType = isPng ? 'image/png' : 'image/jpeg';
+  const stats = await fs.promises.stat(filePath);
+  const cacheKey = getCacheKey(filePath, stats, maxSize);
+  if (servedAsIs.get(filePath) === cacheKey) return null;
+
+  const cachePath = path.join(getCacheDir(), cacheKey + (isPng ? '.png' : '.jpg'));
+
+  try {
+    const buffer = await fs.promises.readFile(cachePath);
+    // Touch the entry so pruning only removes images that are no longer shown
+    const now = new Date();
+    fs.promises.utimes(cachePath, now, now).catch(() => {});
+    return { buffer, contentType };
+  } catch (error) {
+    // Not cached yet
+  }
+
+  const image = nativeImage.createFromBuffer(await fs.promises.readFile(filePath));
+  const { width, height } = image.getSize();
+  if (image.isEmpty() || (width <= maxSize.width && height <= maxSize.height)) {
+    servedAsIs.set(filePath, cacheKey);
+    return null;
+  }
+
+  const scale = Math.min(maxSize.width / width, maxSize.height / height);
+  const resized = image.resize({
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+    quality: 'good',
+  });
+  const buffer = isPng ? resized.toPNG() : resized.toJPEG(JPEG_QUALITY);
+
+  try {
+    await fs.promises.mkdir(getCacheDir(), { recursive: true });
+    await fs.promises.writeFile(cachePath, buffer);
+  } catch (error) {
+    console.error('Error writing media cache:', error.message);
+  }
+
+  return { buffer, contentType };
+}
+
+async function pruneThumbnailCache() {
+  const cacheDir = getCacheDir();
+  let files;
+  try {
+    files = await fs.promises.readdir(cacheDir);
+  } catch (error) {
+    return;
+  }
+
+  const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+  for (const file of files) {
+    const filePath = path.join(cacheDir, file);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs < cutoff) await fs.promises.unlink(filePath);
+    } catch (error) {
+      console.error('Error pruning media cache:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  getThumbnail,
+  pruneThumbnailCache,
+};
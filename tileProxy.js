@@ -0,0 +1,182 @@
+/**
+* ##################
+* #### Overview ####
+* ##################
+*
+* Map tiles for the radar map, served to the renderer over 'styberg-media://tiles/...'. Going
+* through the main process keeps the OpenWeather key out of the renderer and lets tiles be
+* cached on disk, so the map still has a base layer (and recent radar frames) when offline.
+*
+*   styberg-media://tiles/base/7/32/47             -> base map tile (OpenStreetMap)
+*   styberg-media://tiles/PR0/7/32/47?date=<unix>  -> OpenWeather precipitation frame at that time
+*
+* ##################
+* #### Function ####
+* ##################
+*
+* 1) Fetching
+*   - Base tiles come from 'api.baseMapUrl', weather layers from 'api.weatherMapUrl'
+*     (OpenWeather Maps 2.0, which takes a 'date' for past frames)
+*   - Requests identify the app in their User-Agent, as the OpenStreetMap tile usage policy asks
+*   - Weather layer requests are counted against 'quota.openWeatherTilesDaily' (apiQuota); base
+*     tiles aren't metered
+*
+* 2) Caching
+*   - Every tile is written to '<userData>/tile-cache'; base tiles are reused for
+*     BASE_TILE_MAX_AGE_MS, weather frames for good once they were fetched FRAME_SETTLE_MS after
+*     their time (a frame for a past time never changes)
+*   - A frame fetched sooner than that may still have been filling in, so it is fetched again
+*     once the cached copy is RECENT_FRAME_MAX_AGE_MS old
+*   - When a fetch fails the cached tile is served whatever its age; with nothing cached the
+*     response is a 404 and Leaflet leaves the map background showing
+*   - Once the tile budget is used up the cached tile is served, or a transparent tile so the
+*     frame simply shows no precipitation
+*   - Weather frames older than FRAME_MAX_AGE_MS are pruned at startup
+*/
+
+const path = require('node:path');
+const fs = require('fs');
+const axios = require('axios');
+const { app } = require('electron');
+const { QuotaExceededError, consumeCall } = require('./apiQuota');
+
+const BASE_TILE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const FRAME_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const FRAME_SETTLE_MS = 60 * 60 * 1000;
+const RECENT_FRAME_MAX_AGE_MS = 10 * 60 * 1000;
+const LAYER_PATTERN = /^(base|[A-Z0-9]+)$/;
+// 1x1 transparent PNG; Leaflet stretches it over the tile
+const EMPTY_TILE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+function getCacheDir() {
+  return path.join(app.getPath('userData'), 'tile-cache');
+}
+
+function parseTileUrl(url) {
+  const { pathname, searchParams } = new URL(url);
+  const [layer, z, x, y] = pathname.split('/').filter(Boolean);
+  const date = searchParams.get('date');
+
+  if (!LAYER_PATTERN.test(layer || '')) return null;
+  if (![z, x, y].every((value) => /^\d+$/.test(value || ''))) return null;
+  if (date !== null && !/^\d+$/.test(date)) return null;
+
+  return { layer, z, x, y, date };
+}
+
+function getRemoteUrl({ layer, z, x, y, date }, api, apiKey) {
+  if (layer === 'base') return `${api.baseMapUrl}/${z}/${x}/${y}.png`;
+
+  const dateParam = date ? `&date=${date}` : '';
+  return `${api.weatherMapUrl}/${layer}/${z}/${x}/${y}?appid=${apiKey}${dateParam}`;
+}
+
+async function readCachedTile(cachePath) {
+  try {
+    const [buffer, stats] = await Promise.all([fs.promises.readFile(cachePath), fs.promises.stat(cachePath)]);
+    return { buffer, ageMs: Date.now() - stats.mtimeMs };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getUserAgent() {
+  return `StybergNews/${app.getVersion()} (Styberg Engineering plant displays)`;
+}
+
+function isCachedTileFresh(cached, layer, date) {
+  if (layer === 'base') return cached.ageMs < BASE_TILE_MAX_AGE_MS;
+  if (!date) return false;
+
+  const fetchedAt = Date.now() - cached.ageMs;
+  return fetchedAt - Number(date) * 1000 >= FRAME_SETTLE_MS || cached.ageMs < RECENT_FRAME_MAX_AGE_MS;
+}
+
+function tileResponse(buffer) {
+  return new Response(buffer, {
+    headers: { 'Content-Type': 'image/png', 'Content-Length': String(buffer.length) },
+  });
+}
+
+/**
+ * Returns a protocol handler for the 'tiles' host. getOptions returns { api, apiKey, quota } so
+ * a config reload is picked up.
+ */
+function createTileHandler(getOptions) {
+  return async (request) => {
+    const tile = parseTileUrl(request.url);
+    if (!tile) return new Response(null, { status: 400 });
+
+    const { layer, z, x, y, date } = tile;
+    const cachePath = path.join(getCacheDir(), layer, z, x, `${y}${date ? '-' + date : ''}.png`);
+    const cached = await readCachedTile(cachePath);
+
+    if (cached && isCachedTileFresh(cached, layer, date)) return tileResponse(cached.buffer);
+
+    try {
+      const { api, apiKey, quota } = getOptions();
+      if (layer !== 'base') consumeCall('openweatherTiles', quota);
+
+      const response = await axios.get(getRemoteUrl(tile, api, apiKey), {
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': getUserAgent() },
+      });
+      const buffer = Buffer.from(response.data);
+
+      try {
+        await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+        await fs.promises.writeFile(cachePath, buffer);
+      } catch (error) {
+        console.error('Error writing tile cache:', error.message);
+      }
+
+      return tileResponse(buffer);
+    } catch (error) {
+      if (cached) return tileResponse(cached.buffer);
+      if (error instanceof QuotaExceededError) return tileResponse(EMPTY_TILE);
+      return new Response(null, { status: 404 });
+    }
+  };
+}
+
+async function pruneTileCache() {
+  const cutoff = Date.now() - FRAME_MAX_AGE_MS;
+
+  const prune = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await prune(entryPath);
+        continue;
+      }
+
+      try {
+        const stats = await fs.promises.stat(entryPath);
+        if (stats.mtimeMs < cutoff) await fs.promises.unlink(entryPath);
+      } catch (error) {
+        console.error('Error pruning tile cache:', error.message);
+      }
+    }
+  };
+
+  // Base tiles are kept; they are refreshed in place once they are old
+  const layers = await fs.promises.readdir(getCacheDir()).catch(() => []);
+  for (const layer of layers) {
+    if (layer !== 'base') await prune(path.join(getCacheDir(), layer));
+  }
+}
+
+module.exports = {
+  createTileHandler,
+  pruneTileCache,
+};